@@ -0,0 +1,355 @@
+import { normalizeName } from "./graph.js";
+
+/**
+ * Shortest-path measures of every node, from one breadth-first search per node.
+ * @typedef {Object} Centrality
+ * @property {number[]} betweenness Share of shortest paths between other people that pass
+ * through each node, normalized to [0, 1].
+ * @property {number[]} closeness How near each node is to the people it can reach, in [0, 1]
+ * (Wasserman–Faust, so people in small groups score lower).
+ * @property {number[]} eccentricity Hops to the farthest reachable person.
+ */
+
+/**
+ * Centrality of graphs by object, with the revision it was computed for.
+ * @type {WeakMap<Graph, {revision:number, centrality:Centrality}>}
+ */
+var centralityCache = new WeakMap();
+
+/**
+ * Compute betweenness (Brandes' algorithm), closeness and eccentricity of every node. Edges
+ * count as friendships whether or not they have ended. Results are cached until the graph's
+ * nodes or edges change.
+ * @param {Graph} graph Data model.
+ * @returns {Centrality} Measures by node index; 0 for freed slots.
+ */
+export function centrality(graph) {
+	var cached = centralityCache.get(graph);
+	if (cached && cached.revision === graph.revision) return cached.centrality;
+
+	var n = graph.nodes.length;
+	var adj = graph.adjacency();
+	var betweenness = new Array(n).fill(0);
+	var closeness = new Array(n).fill(0);
+	var eccentricity = new Array(n).fill(0);
+	var people = 0;
+	for (var i = 0; i < n; i++) {
+		if (!graph.isFree(i)) people++;
+	}
+
+	for (var s = 0; s < n; s++) {
+		if (graph.isFree(s)) continue;
+		var dist = new Array(n).fill(-1);
+		var paths = new Array(n).fill(0);
+		/** @type {number[][]} Predecessors on shortest paths from s, for reached nodes. */
+		var preds = new Array(n);
+		var order = [s];
+		dist[s] = 0;
+		paths[s] = 1;
+		for (var q = 0; q < order.length; q++) {
+			var v = order[q];
+			for (const w of adj[v]) {
+				if (dist[w] < 0) {
+					dist[w] = dist[v] + 1;
+					preds[w] = [];
+					order.push(w);
+				}
+				if (dist[w] === dist[v] + 1) {
+					paths[w] += paths[v];
+					preds[w].push(v);
+				}
+			}
+		}
+
+		var total = 0;
+		for (const v of order) total += dist[v];
+		var reached = order.length - 1;
+		if (total > 0 && people > 1) closeness[s] = (reached / (people - 1)) * (reached / total);
+		eccentricity[s] = dist[order[order.length - 1]];
+
+		var delta = new Array(n).fill(0);
+		for (var o = order.length - 1; o > 0; o--) {
+			var w = order[o];
+			for (const v of preds[w]) delta[v] += (paths[v] / paths[w]) * (1 + delta[w]);
+			betweenness[w] += delta[w];
+		}
+	}
+
+	// Every path was counted from both ends; normalize by the number of pairs of others.
+	var pairs = (people - 1) * (people - 2);
+	for (var b = 0; b < n; b++) betweenness[b] = pairs > 0 ? betweenness[b] / pairs : 0;
+
+	var result = { betweenness: betweenness, closeness: closeness, eccentricity: eccentricity };
+	centralityCache.set(graph, { revision: graph.revision, centrality: result });
+	return result;
+}
+
+/**
+ * Local clustering coefficient: how many of a person's friends are friends with each other.
+ * @param {Graph} graph Data model.
+ * @param {number} i Node index.
+ * @returns {number} Share of friend pairs that are connected, in [0, 1]; 0 with fewer than
+ * two friends.
+ */
+export function clusteringCoefficient(graph, i) {
+	var friends = Array.from(graph.neighbours(i));
+	if (friends.length < 2) return 0;
+	var links = 0;
+	for (var a = 0; a < friends.length; a++) {
+		var theirs = graph.neighbours(friends[a]);
+		for (var b = a + 1; b < friends.length; b++) {
+			if (theirs.has(friends[b])) links++;
+		}
+	}
+	return links / (friends.length * (friends.length - 1) / 2);
+}
+
+/**
+ * Split the graph into groups of people connected through friends.
+ * @param {Graph} graph Data model.
+ * @returns {number[][]} Node indices of each component, largest first.
+ */
+export function connectedComponents(graph) {
+	var seen = graph.nodes.map(node => node === null);
+	var components = [];
+	for (var i = 0; i < graph.nodes.length; i++) {
+		if (seen[i]) continue;
+		seen[i] = true;
+		var members = [i];
+		for (var m = 0; m < members.length; m++) {
+			for (const j of graph.neighbours(members[m])) {
+				if (seen[j]) continue;
+				seen[j] = true;
+				members.push(j);
+			}
+		}
+		components.push(members);
+	}
+	return components.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * @param {Graph} graph Data model.
+ * @param {number} i Node index.
+ * @param {number} j Node index.
+ * @returns {number[]} People who are friends with both i and j.
+ */
+export function commonFriends(graph, i, j) {
+	var theirs = graph.neighbours(j);
+	return Array.from(graph.neighbours(i)).filter(k => k !== j && theirs.has(k));
+}
+
+/**
+ * @typedef {Object} GraphSummary
+ * @property {number} nodes Number of people.
+ * @property {number} edges Number of connections.
+ * @property {number} density Share of all possible pairs that are connected.
+ * @property {number} diameter Longest shortest path within a group, in hops.
+ * @property {number} components Number of separate groups.
+ * @property {number} mostConnected Index of the person with the most friends, or -1.
+ */
+
+/**
+ * @param {Graph} graph Data model.
+ * @returns {GraphSummary} Graph-wide numbers.
+ */
+export function graphSummary(graph) {
+	var people = 0;
+	var mostConnected = -1;
+	for (var i = 0; i < graph.nodes.length; i++) {
+		if (graph.isFree(i)) continue;
+		people++;
+		if (mostConnected < 0 || graph.degree(i) > graph.degree(mostConnected)) mostConnected = i;
+	}
+	var possible = people * (people - 1) / 2;
+	return {
+		nodes: people,
+		edges: graph.edges.length,
+		density: possible > 0 ? graph.edges.length / possible : 0,
+		diameter: centrality(graph).eccentricity.reduce((a, b) => Math.max(a, b), 0),
+		components: connectedComponents(graph).length,
+		mostConnected: mostConnected
+	};
+}
+
+/**
+ * Find the shortest chain of friendships between two people. Ended friendships count too.
+ * @param {Graph} graph Data model.
+ * @param {number} from Node index.
+ * @param {number} to Node index.
+ * @param {string} [prefer] When several chains are equally short, "oldest" picks the one whose
+ * friendships started earliest (by their summed start dates) and "newest" the latest.
+ * @returns {number[]|null} Node indices from `from` to `to`, or null if they are not connected.
+ */
+export function shortestPath(graph, from, to, prefer) {
+	var n = graph.nodes.length;
+	/** @type {Map<string, Edge>} */
+	var edgeByPair = new Map();
+	for (const edge of graph.edges) edgeByPair.set(edge.a + ":" + edge.b, edge);
+	/**
+	 * @param {number} i Node index.
+	 * @param {number} j Node index.
+	 * @returns {number} Start time of the edge between i and j.
+	 */
+	function startOf(i, j) {
+		return edgeByPair.get(i < j ? i + ":" + j : j + ":" + i).start.getTime();
+	}
+
+	var dist = new Array(n).fill(-1);
+	var parent = new Array(n).fill(-1);
+	// Summed start times along the best chain so far, for the tie-break.
+	var score = new Array(n).fill(0);
+	var order = [from];
+	dist[from] = 0;
+	for (var q = 0; q < order.length; q++) {
+		var v = order[q];
+		// Once `to` is reached, the rest of its predecessors' layer may still offer a better tie.
+		if (dist[to] >= 0 && dist[v] >= dist[to]) break;
+		for (const w of graph.neighbours(v)) {
+			var s = score[v] + (prefer ? startOf(v, w) : 0);
+			if (dist[w] < 0) {
+				dist[w] = dist[v] + 1;
+				parent[w] = v;
+				score[w] = s;
+				order.push(w);
+			} else if (dist[w] === dist[v] + 1 &&
+				((prefer === "oldest" && s < score[w]) || (prefer === "newest" && s > score[w]))) {
+				parent[w] = v;
+				score[w] = s;
+			}
+		}
+	}
+	if (dist[to] < 0) return null;
+
+	var path = [to];
+	while (path[0] !== from) path.unshift(parent[path[0]]);
+	return path;
+}
+
+/**
+ * Split the graph into communities of people who are more connected to each other than to
+ * everyone else, with the Louvain method: nodes move to the neighbouring community that
+ * improves modularity most, then each community becomes a single node and the process repeats
+ * until nothing moves.
+ * @param {Graph} graph Data model.
+ * @returns {number[]} Community by node index, numbered from 0 by decreasing size. People in
+ * no community of two or more, and freed slots, get -1.
+ */
+export function detectCommunities(graph) {
+	var n = graph.nodes.length;
+	// Weighted links of the current level. Each undirected link is stored in both directions,
+	// and links inside a merged node become a self-link holding twice their weight.
+	/** @type {Array<Map<number, number>>} */
+	var links = graph.adjacency().map(friends => new Map(Array.from(friends, j => [j, 1])));
+	var nodeOf = graph.nodes.map((node, i) => i);
+	var total = 2 * graph.edges.length;
+
+	while (total > 0) {
+		var size = links.length;
+		var degree = links.map(l => Array.from(l.values()).reduce((a, b) => a + b, 0));
+		var comm = links.map((l, i) => i);
+		var tot = degree.slice();
+		var improved = false;
+		var moved = true;
+		while (moved) {
+			moved = false;
+			for (var i = 0; i < size; i++) {
+				if (degree[i] === 0) continue;
+				/** @type {Map<number, number>} */
+				var toComm = new Map();
+				for (const [j, w] of links[i]) {
+					if (j !== i) toComm.set(comm[j], (toComm.get(comm[j]) || 0) + w);
+				}
+				var from = comm[i];
+				tot[from] -= degree[i];
+				var best = from;
+				var bestGain = (toComm.get(from) || 0) - tot[from] * degree[i] / total;
+				for (const [c, w] of toComm) {
+					var gain = w - tot[c] * degree[i] / total;
+					if (gain > bestGain + 1e-9) {
+						best = c;
+						bestGain = gain;
+					}
+				}
+				tot[best] += degree[i];
+				if (best !== from) {
+					comm[i] = best;
+					moved = true;
+					improved = true;
+				}
+			}
+		}
+		if (!improved) break;
+
+		// Renumber the communities and merge each into one node of the next level.
+		/** @type {Map<number, number>} */
+		var renumber = new Map();
+		for (const c of comm) {
+			if (!renumber.has(c)) renumber.set(c, renumber.size);
+		}
+		comm = comm.map(c => renumber.get(c));
+		nodeOf = nodeOf.map(s => comm[s]);
+		var next = Array.from({ length: renumber.size }, () => new Map());
+		links.forEach((l, i) => {
+			for (const [j, w] of l) next[comm[i]].set(comm[j], (next[comm[i]].get(comm[j]) || 0) + w);
+		});
+		links = next;
+	}
+
+	/** @type {Map<number, number[]>} */
+	var groups = new Map();
+	for (var k = 0; k < n; k++) {
+		if (graph.isFree(k)) continue;
+		if (!groups.has(nodeOf[k])) groups.set(nodeOf[k], []);
+		groups.get(nodeOf[k]).push(k);
+	}
+	var result = new Array(n).fill(-1);
+	Array.from(groups.values())
+		.filter(members => members.length > 1)
+		.sort((a, b) => b.length - a.length || a[0] - b[0])
+		.forEach((members, c) => {
+			for (const k of members) result[k] = c;
+		});
+	return result;
+}
+
+/**
+ * @param {string} a Text.
+ * @param {string} b Text.
+ * @returns {boolean} True if a can be turned into b by inserting, deleting or replacing at
+ * most one character.
+ */
+function withinOneEdit(a, b) {
+	if (Math.abs(a.length - b.length) > 1) return false;
+	if (a.length > b.length) return withinOneEdit(b, a);
+	var i = 0;
+	while (i < a.length && a[i] === b[i]) i++;
+	// Skip the one differing character of b, and of a too if the lengths are equal.
+	return a.slice(i + (a.length === b.length ? 1 : 0)) === b.slice(i + 1);
+}
+
+/**
+ * Find pairs of people who may be the same person entered twice: their names are equal
+ * ignoring case and spacing, or differ by a single typo in names of four or more letters.
+ * @param {Graph} graph Data model.
+ * @returns {Array<[number, number]>} Node index pairs, smaller index first, by the first name.
+ */
+export function possibleDuplicates(graph) {
+	var people = [];
+	for (var i = 0; i < graph.nodes.length; i++) {
+		if (!graph.isFree(i)) people.push({ index: i, key: normalizeName(graph.nodes[i].name) });
+	}
+	people.sort((a, b) => a.key.localeCompare(b.key));
+
+	/** @type {Array<[number, number]>} */
+	var pairs = [];
+	for (var a = 0; a < people.length; a++) {
+		for (var b = a + 1; b < people.length; b++) {
+			var p = people[a], q = people[b];
+			if (p.key === q.key || (Math.min(p.key.length, q.key.length) >= 4 && withinOneEdit(p.key, q.key))) {
+				pairs.push(p.index < q.index ? [p.index, q.index] : [q.index, p.index]);
+			}
+		}
+	}
+	return pairs;
+}
@@ -0,0 +1,112 @@
+/*
+ * Headless benchmark of the force simulation.
+ *
+ *     node bench.js [nodeCount ...]
+ *
+ * For each size (1000 and 5000 by default) it builds a random friend graph and times
+ * Graph.update with Barnes–Hut repulsion, then with the exact all-pairs repulsion, and reports
+ * how far the approximate repulsion is from the exact one.
+ */
+
+import { vec2 } from "./vec2.js";
+import { Node, Graph } from "./graph.js";
+
+/**
+ * Tiny deterministic PRNG (mulberry32) so runs are comparable.
+ * @param {number} seed Seed.
+ * @returns {function(): number} Returns floats in [0, 1).
+ */
+function random(seed) {
+	return function() {
+		seed = (seed + 0x6d2b79f5) | 0;
+		var t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+		t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Build a graph of n people where each newcomer joins next to a friend already in the graph,
+ * which keeps edges short like in a settled layout.
+ * @param {number} n Node count.
+ * @returns {Graph} The graph.
+ */
+function makeGraph(n) {
+	var rand = random(n);
+	var graph = new Graph();
+	var date = new Date(2020, 0, 1);
+	for (var i = 0; i < n; i++) {
+		var node = new Node("p" + i);
+		graph.nodes.push(node);
+		if (i === 0) continue;
+		var friend = Math.floor(rand() * i);
+		var a = rand() * 2 * Math.PI;
+		node.pos = vec2.add(graph.nodes[friend].pos, vec2(80 * Math.cos(a), 80 * Math.sin(a)));
+		graph.addOrUpdateEdge(i, friend, date);
+		// Half of them also befriend one of their friend's friends.
+		var theirs = graph.edges.filter(e => e.a === friend || e.b === friend);
+		var pick = theirs[Math.floor(rand() * theirs.length)];
+		var other = pick.a === friend ? pick.b : pick.a;
+		if (rand() < 0.5 && other !== i) graph.addOrUpdateEdge(i, other, date);
+	}
+	return graph;
+}
+
+/**
+ * Time Graph.update. Every step starts from the same layout, so the timing doesn't depend on
+ * how far the layout has moved.
+ * @param {Graph} graph Graph to simulate.
+ * @param {number} steps Number of updates.
+ * @returns {number} Milliseconds per update.
+ */
+function timeSteps(graph, steps) {
+	var layout = graph.nodes.map(node => node.pos);
+	var total = 0n;
+	for (var s = 0; s < steps; s++) {
+		graph.nodes.forEach((node, i) => { node.pos = layout[i]; });
+		var start = process.hrtime.bigint();
+		graph.update(1 / 60);
+		total += process.hrtime.bigint() - start;
+	}
+	return Number(total) / 1e6 / steps;
+}
+
+/**
+ * Mean relative error of the approximate repulsion against the exact one.
+ * @param {Graph} graph Graph to measure.
+ * @returns {number} Mean |approx - exact| / |exact|.
+ */
+function repulsionError(graph) {
+	var active = graph.nodes.map((node, i) => i);
+	var exact = active.map(() => vec2(0, 0));
+	var approx = active.map(() => vec2(0, 0));
+	graph.addExactRepulsion(exact, active);
+	graph.addApproxRepulsion(approx, active);
+	var sum = 0;
+	for (const i of active) {
+		var len = vec2.len(exact[i]);
+		if (len > 0) sum += vec2.len(vec2.sub(approx[i], exact[i])) / len;
+	}
+	return sum / active.length;
+}
+
+var sizes = process.argv.slice(2).map(Number).filter(n => n > 0);
+if (sizes.length === 0) sizes = [1000, 5000];
+
+for (const n of sizes) {
+	var graph = makeGraph(n);
+	var error = repulsionError(graph);
+
+	graph.exactRepulsionMax = 0;
+	var approxMs = timeSteps(graph, 20);
+
+	graph.exactRepulsionMax = Infinity;
+	var exactMs = timeSteps(graph, n > 2000 ? 3 : 10);
+
+	console.log(
+		n + " nodes, " + graph.edges.length + " edges: " +
+		"Barnes–Hut (theta " + graph.theta + ") " + approxMs.toFixed(1) + " ms/step, " +
+		"exact " + exactMs.toFixed(1) + " ms/step, " +
+		"mean force error " + (error * 100).toFixed(2) + "%"
+	);
+}
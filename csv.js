@@ -0,0 +1,86 @@
+import { normalizeName } from "./graph.js";
+
+/**
+ * Split one line of CSV into fields. Commas, semicolons and tabs all separate fields, and
+ * double-quoted fields may contain them (a doubled quote stands for a literal quote).
+ * @param {string} line One line of text.
+ * @returns {string[]} Trimmed fields.
+ */
+function splitCsvLine(line) {
+	var fields = [];
+	var field = "";
+	var quoted = false;
+	for (var i = 0; i < line.length; i++) {
+		var c = line[i];
+		if (quoted) {
+			if (c === '"' && line[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (c === '"') {
+				quoted = false;
+			} else {
+				field += c;
+			}
+		} else if (c === '"') {
+			quoted = true;
+		} else if (c === "," || c === ";" || c === "\t") {
+			fields.push(field.trim());
+			field = "";
+		} else {
+			field += c;
+		}
+	}
+	fields.push(field.trim());
+	return fields;
+}
+
+/**
+ * @param {string} year Year field as written.
+ * @returns {boolean} True for a four-digit year from 1900 to 2100.
+ */
+export function isValidYear(year) {
+	var y = Number(year);
+	return /^\d{4}$/.test(year) && y >= 1900 && y <= 2100;
+}
+
+/**
+ * @typedef {Object} GroupRow
+ * @property {number} line 1-based line number in the source text.
+ * @property {string} year Year field as written.
+ * @property {string[]} names Non-empty friend names.
+ * @property {string[]} errors Problems that keep this row from being imported.
+ */
+
+/**
+ * Parse friend groups written one per line as "year, name1, name2, ...". Blank lines, lines
+ * starting with "#" and a leading "year, ..." header are skipped.
+ * @param {string} text Pasted or uploaded text.
+ * @returns {GroupRow[]} One entry per group line, with its errors.
+ */
+export function parseGroupRows(text) {
+	var rows = [];
+	var lines = text.split(/\r\n|\r|\n/);
+	for (var i = 0; i < lines.length; i++) {
+		var line = lines[i].trim();
+		if (line.length === 0 || line[0] === "#") continue;
+		var fields = splitCsvLine(line);
+		var year = fields[0];
+		if (rows.length === 0 && year.toLowerCase() === "year") continue;
+
+		var names = fields.slice(1).filter(function(name) { return name.length > 0; });
+		var errors = [];
+		if (!isValidYear(year)) {
+			errors.push("Bad year \"" + year + "\"");
+		}
+		if (names.length < 2) {
+			errors.push("Needs at least two names");
+		}
+		var seen = new Set();
+		for (const name of names) {
+			if (seen.has(normalizeName(name))) errors.push("\"" + name + "\" appears twice");
+			seen.add(normalizeName(name));
+		}
+		rows.push({ line: i + 1, year: year, names: names, errors: errors });
+	}
+	return rows;
+}
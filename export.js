@@ -0,0 +1,99 @@
+/** Computed style properties copied onto exported elements, so the file needs no stylesheet. */
+var EXPORT_STYLE_PROPS = [
+	"display",
+	"fill",
+	"fill-opacity",
+	"stroke",
+	"stroke-width",
+	"stroke-opacity",
+	"stroke-dasharray",
+	"opacity",
+	"font-family",
+	"font-size",
+	"font-weight"
+];
+
+/** Blank space around the nodes in exported images, in SVG units. */
+var EXPORT_MARGIN = 16;
+
+/**
+ * Build a self-contained copy of the live graph SVG. The style.css rules are resolved through
+ * getComputedStyle (so theme variables and dark mode come out right) and written inline, and
+ * the viewBox is fitted to the drawn nodes instead of the current zoom.
+ * @param {SVGSVGElement} svg The live graph SVG.
+ * @param {SVGGElement} nodesG Node group, used to measure the drawing.
+ * @returns {{text:string, width:number, height:number}} SVG markup and its size in pixels.
+ */
+export function buildStandaloneSvg(svg, nodesG) {
+	var box = nodesG.getBBox();
+	var x = box.x - EXPORT_MARGIN;
+	var y = box.y - EXPORT_MARGIN;
+	var width = Math.max(1, Math.ceil(box.width + 2 * EXPORT_MARGIN));
+	var height = Math.max(1, Math.ceil(box.height + 2 * EXPORT_MARGIN));
+
+	var clone = /** @type {SVGSVGElement} */(svg.cloneNode(true));
+	var live = svg.querySelectorAll("*");
+	var copies = clone.querySelectorAll("*");
+	for (var i = 0; i < live.length; i++) {
+		if (live[i].closest("defs")) continue;
+		var cs = getComputedStyle(live[i]);
+		var style = "";
+		for (const prop of EXPORT_STYLE_PROPS) {
+			var v = cs.getPropertyValue(prop);
+			if (v) style += prop + ":" + v + ";";
+		}
+		copies[i].setAttribute("style", style);
+	}
+
+	var bg = document.createElementNS(svg.namespaceURI, "rect");
+	bg.setAttribute("x", String(x));
+	bg.setAttribute("y", String(y));
+	bg.setAttribute("width", String(width));
+	bg.setAttribute("height", String(height));
+	bg.setAttribute("fill", getComputedStyle(document.body).backgroundColor);
+	clone.insertBefore(bg, clone.firstChild);
+
+	clone.removeAttribute("id");
+	clone.removeAttribute("class");
+	clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+	clone.setAttribute("xmlns:xlink", "http://www.w3.org/1999/xlink");
+	clone.setAttribute("viewBox", x + " " + y + " " + width + " " + height);
+	clone.setAttribute("width", String(width));
+	clone.setAttribute("height", String(height));
+
+	return {
+		text: new XMLSerializer().serializeToString(clone),
+		width: width,
+		height: height
+	};
+}
+
+/**
+ * Rasterize standalone SVG markup through a canvas.
+ * @param {{text:string, width:number, height:number}} exported Result of buildStandaloneSvg.
+ * @param {number} scale Pixels per SVG unit.
+ * @returns {Promise<Blob>} Resolves to a PNG blob.
+ */
+export function rasterizeSvg(exported, scale) {
+	return new Promise(function(resolve, reject) {
+		var url = URL.createObjectURL(new Blob([exported.text], { type: "image/svg+xml" }));
+		var img = new Image();
+		img.onload = function() {
+			var canvas = document.createElement("canvas");
+			canvas.width = Math.round(exported.width * scale);
+			canvas.height = Math.round(exported.height * scale);
+			var ctx = canvas.getContext("2d");
+			ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+			URL.revokeObjectURL(url);
+			canvas.toBlob(function(blob) {
+				if (blob) resolve(blob);
+				else reject(new Error("The image is too large to export."));
+			}, "image/png");
+		};
+		img.onerror = function() {
+			URL.revokeObjectURL(url);
+			reject(new Error("The graph could not be drawn."));
+		};
+		img.src = url;
+	});
+}
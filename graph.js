@@ -1,9 +1,10 @@
-"use strict";
+import { vec2 } from "./vec2.js";
+import { QuadTree } from "./quadtree.js";
 
 /**
  * A friend node in the graph.
  */
-class Node {
+export class Node {
 	/**
 	 * @param {string} name The friend's display name.
 	 */
@@ -14,24 +15,198 @@ class Node {
 		this.image = null;
 		/** @type {{x:number,y:number}} */
 		this.pos = vec2(0, 0);
+		/** @type {{x:number,y:number}} */
+		this.vel = vec2(0, 0);
+		/** @type {boolean} Pinned nodes stay where they are but still push and pull others. */
+		this.pinned = false;
+	}
+
+	/**
+	 * @returns {Node} An independent copy of this node.
+	 */
+	clone() {
+		var copy = new Node(this.name);
+		copy.image = this.image;
+		copy.pos = vec2(this.pos);
+		copy.vel = vec2(this.vel);
+		copy.pinned = this.pinned;
+		return copy;
+	}
+
+	/**
+	 * @param {Node} other Another node.
+	 * @returns {boolean} True if clone() of either would give the same node.
+	 */
+	equals(other) {
+		return this.name === other.name && this.image === other.image && this.pinned === other.pinned &&
+			vec2.eq(this.pos, other.pos) && vec2.eq(this.vel, other.vel);
 	}
 }
 
+/**
+ * Kinds of relationship an edge can stand for. The first one is the default.
+ * @type {string[]}
+ */
+export var RELATIONSHIP_TYPES = ["friend", "family", "partner", "colleague", "classmate"];
+
+/**
+ * Force models the layout can use. The first one is the default.
+ *  - "spring-electrical": springs with a rest length, inverse-square repulsion.
+ *  - "fruchterman-reingold": attraction grows with d², repulsion falls off with 1/d.
+ *  - "forceatlas2": linear attraction, 1/d repulsion weighted by (degree + 1) of both nodes,
+ *    which spreads hubs apart and pulls leaves in close.
+ * @type {string[]}
+ */
+export var FORCE_MODELS = ["spring-electrical", "fruchterman-reingold", "forceatlas2"];
+
+/**
+ * An undirected connection between two friends.
+ */
+export class Edge {
+	/**
+	 * @param {number} a Smaller node index.
+	 * @param {number} b Larger node index.
+	 * @param {Date} start Date the connection started.
+	 */
+	constructor(a, b, start) {
+		/** @type {number} */
+		this.a = a;
+		/** @type {number} */
+		this.b = b;
+		/** @type {Date} */
+		this.start = start;
+		/** @type {Date|null} Date the connection faded, or null if it is still going. */
+		this.end = null;
+		/** @type {string} One of RELATIONSHIP_TYPES. */
+		this.type = RELATIONSHIP_TYPES[0];
+		/** @type {string} Free text about how the two met. */
+		this.note = "";
+	}
+
+	/**
+	 * @param {Date} when A point in time.
+	 * @returns {boolean} True if the connection had ended by then.
+	 */
+	endedBy(when) {
+		return this.end !== null && this.end.getTime() <= when.getTime();
+	}
+
+	/**
+	 * @returns {Edge} An independent copy of this edge.
+	 */
+	clone() {
+		var copy = new Edge(this.a, this.b, this.start);
+		copy.end = this.end;
+		copy.type = this.type;
+		copy.note = this.note;
+		return copy;
+	}
+
+	/**
+	 * @param {Edge} other Another edge.
+	 * @returns {boolean} True if clone() of either would give the same edge.
+	 */
+	equals(other) {
+		var sameEnd = this.end === null ? other.end === null :
+			other.end !== null && this.end.getTime() === other.end.getTime();
+		return this.a === other.a && this.b === other.b && this.type === other.type &&
+			this.note === other.note && this.start.getTime() === other.start.getTime() && sameEnd;
+	}
+}
+
+/**
+ * The form of a name used to tell whether two names mean the same person: trimmed, inner runs
+ * of whitespace collapsed to one space, and lower case.
+ * @param {string} name Friend name as typed.
+ * @returns {string} Normalized name.
+ */
+export function normalizeName(name) {
+	return name.trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+/**
+ * A copy of a graph's nodes and edges, with freed slots kept so indices stay valid.
+ * @typedef {Object} GraphSnapshot
+ * @property {Array<Node|null>} nodes Node copies.
+ * @property {Edge[]} edges Edge copies.
+ */
+
+/**
+ * The part of a graph currently shown. Nodes and edges left out neither move nor exert
+ * forces in the simulation.
+ * @typedef {Object} GraphMask
+ * @property {boolean[]} nodes True for each shown node index.
+ * @property {boolean[]} edges True for each shown index into graph.edges.
+ */
+
 /**
  * A small friend graph with force-layout simulation.
  */
-class Graph {
+export class Graph {
 	constructor() {
 		/** @type {Array<Node|null>} */
 		this.nodes = [];
-		/** @type {Array<[number, number, Date]>} */
+		/** @type {Edge[]} */
 		this.edges = [];
-		/** @type {number} */
+		/** @type {Array<Set<number>>|null} Neighbours by node index, rebuilt when needed. */
+		this.adjacencyCache = null;
+		/** @type {number} Bumped whenever nodes or edges are added or removed. */
+		this.revision = 0;
+		/** @type {string} One of FORCE_MODELS. */
+		this.forceModel = FORCE_MODELS[0];
+		/** @type {number} Repulsion strength. Two nodes restLength apart push with repelK / restLength². */
 		this.repelK = 1000000;
-		/** @type {number} */
-		this.attractK = 0.01;
+		/** @type {number} Edge stiffness. */
+		this.attractK = 1;
 		/** @type {number} */
 		this.centerK = 1.0;
+		/** @type {number} Preferred edge length; it also sets the distance scale of the force models. */
+		this.restLength = 100;
+		/** @type {number} Pull towards the center of one's community; 0 turns it off. */
+		this.communityK = 0;
+		/**
+		 * Community by node index (-1 for none), as found by detectCommunities. Only used by the
+		 * community pull.
+		 * @type {number[]|null}
+		 */
+		this.communities = null;
+		/** @type {number} Strongest repulsion between two nodes, so close nodes don't fly apart. */
+		this.maxRepulsion = 100;
+		/** @type {number} Radius of a drawn node. */
+		this.nodeRadius = 22;
+		/** @type {number} Distance from a node's center down to its label's baseline. */
+		this.labelOffset = 38;
+		/**
+		 * Barnes–Hut opening angle: a quadtree cell whose size over distance is below it pushes
+		 * as a single body. Larger is faster and less accurate; 0 is exact.
+		 * @type {number}
+		 */
+		this.theta = 0.9;
+		/** @type {number} Up to this many simulated nodes, repulsion is computed over all pairs. */
+		this.exactRepulsionMax = 200;
+
+		/**
+		 * Simulation temperature in [0, 1]: forces are scaled by it, and it cools down over
+		 * time so the layout comes to rest. Mutations and drags reheat it.
+		 * @type {number}
+		 */
+		this.alpha = 1;
+		/** @type {number} Exponential cooling rate of alpha, per second. */
+		this.coolingRate = 0.7;
+		/** @type {number} Below this alpha the layout counts as settled. */
+		this.alphaMin = 0.001;
+		/**
+		 * Velocity damping, per second. Forces are scaled by it too, so a constant force F
+		 * moves a node at speed F·alpha once friction balances it.
+		 * @type {number}
+		 */
+		this.friction = 10;
+		/** @type {number} Below this total kinetic energy the layout counts as settled. */
+		this.restEnergy = 2;
+		/** @type {number} Kinetic energy after the last update. */
+		this.energy = 0;
+		/** @type {boolean} If true, update() moves nothing and the layout stays as it is. */
+		this.frozen = false;
 
 		/** @type {Array<{x:number,y:number}>} */
 		this.jitter = [
@@ -47,17 +222,32 @@ class Graph {
 	}
 
 	/**
-	 * Get an existing node index by name, or create a new one at position (0,0).
+	 * Find a node by name, ignoring case and spacing.
 	 * @param {string} name Friend name.
-	 * @returns {number} Node index.
+	 * @param {number} [except] Node index to skip, e.g. the node being renamed.
+	 * @returns {number} Node index, or -1 if nobody has that name.
 	 */
-	getOrCreateNodeIndex(name) {
-		var idx;
-		for (idx = 0; idx < this.nodes.length; idx++) {
+	findNode(name, except) {
+		var wanted = normalizeName(name);
+		for (var idx = 0; idx < this.nodes.length; idx++) {
 			var n = this.nodes[idx];
-			if (n !== null && n.name === name) return idx;
+			if (n !== null && idx !== except && normalizeName(n.name) === wanted) return idx;
 		}
+		return -1;
+	}
 
+	/**
+	 * Get an existing node index by name (ignoring case and spacing), or create a new one at
+	 * position (0,0).
+	 * @param {string} name Friend name.
+	 * @returns {number} Node index.
+	 */
+	getOrCreateNodeIndex(name) {
+		var idx = this.findNode(name);
+		if (idx >= 0) return idx;
+
+		this.structureChanged();
+		name = name.trim();
 		for (idx = 0; idx < this.nodes.length; idx++) {
 			if (this.nodes[idx] === null) {
 				this.nodes[idx] = new Node(name);
@@ -70,6 +260,50 @@ class Graph {
 		return idx;
 	}
 
+	/**
+	 * Note that nodes or edges were added or removed. Code that pushes onto this.nodes or
+	 * this.edges directly must call it.
+	 * @returns {void}
+	 */
+	structureChanged() {
+		this.adjacencyCache = null;
+		this.revision++;
+	}
+
+	/**
+	 * @param {GraphMask|null} [mask] Only follow shown edges. That adjacency is built afresh
+	 * on each call rather than cached, so build it once per mask.
+	 * @returns {Array<Set<number>>} Neighbours of every node by index (empty for freed slots).
+	 */
+	adjacency(mask) {
+		if (mask) {
+			var shown = this.nodes.map(() => new Set());
+			this.edges.forEach(function(edge, e) {
+				if (!mask.edges[e]) return;
+				shown[edge.a].add(edge.b);
+				shown[edge.b].add(edge.a);
+			});
+			return shown;
+		}
+		if (this.adjacencyCache === null || this.adjacencyCache.length !== this.nodes.length) {
+			var adj = this.nodes.map(() => new Set());
+			for (const edge of this.edges) {
+				adj[edge.a].add(edge.b);
+				adj[edge.b].add(edge.a);
+			}
+			this.adjacencyCache = adj;
+		}
+		return this.adjacencyCache;
+	}
+
+	/**
+	 * @param {number} i Node index.
+	 * @returns {Set<number>} Indices of i's direct friends. Do not modify it.
+	 */
+	neighbours(i) {
+		return this.adjacency()[i];
+	}
+
 	/**
 	 * Check whether a node index is currently freed (deleted).
 	 * @param {number} i Node index.
@@ -84,17 +318,20 @@ class Graph {
 	 * If an edge already exists, its stored date becomes the earliest date.
 	 * @param {string[]} names Friend names (non-empty).
 	 * @param {Date} date Date the connection started.
+	 * @param {string} [type] Relationship type for the group's edges.
 	 * @returns {void}
 	 */
-	addFriendGroup(names, date) {
+	addFriendGroup(names, date, type) {
 		var indices = [];
 		for (var i = 0; i < names.length; i++) {
-			indices.push(this.getOrCreateNodeIndex(names[i]));
+			var idx = this.getOrCreateNodeIndex(names[i]);
+			// The same person written twice, e.g. "Alex" and "alex ", is one member.
+			if (!indices.includes(idx)) indices.push(idx);
 		}
 
 		for (var a = 0; a < indices.length; a++) {
 			for (var b = a + 1; b < indices.length; b++) {
-				this.addOrUpdateEdge(indices[a], indices[b], date);
+				this.addOrUpdateEdge(indices[a], indices[b], date, type);
 			}
 		}
 	}
@@ -105,56 +342,161 @@ class Graph {
 	 * @returns {number} Direct connection count.
 	 */
 	degree(i) {
-		return this.edges.reduce((count, edge) => {
-			if (edge[0] === i || edge[1] === i) count++;
-			return count;
-		}, 0);
+		return this.neighbours(i).size;
 	}
 
 	/**
-	 * Rename a node. This will create problem if the new name is not unique.
+	 * Find the people within a number of hops of a node.
 	 * @param {number} i Node index.
-	 * @param {string} newName New unique name.
-	 * @returns {void}
+	 * @param {number} depth Hops to follow: 1 for friends, 2 for friends of friends.
+	 * @param {GraphMask} [mask] Only follow shown edges.
+	 * @returns {boolean[]} True for node i and every node within depth hops, by index.
+	 */
+	neighbourhood(i, depth, mask) {
+		var adj = this.adjacency(mask);
+		var inside = this.nodes.map(() => false);
+		inside[i] = true;
+		var frontier = [i];
+		for (var d = 0; d < depth && frontier.length > 0; d++) {
+			var next = [];
+			for (const from of frontier) {
+				for (const to of adj[from]) {
+					if (inside[to]) continue;
+					inside[to] = true;
+					next.push(to);
+				}
+			}
+			frontier = next;
+		}
+		return inside;
+	}
+
+	/**
+	 * Rename a node, unless another node already has that name (ignoring case and spacing).
+	 * Leading and trailing spaces are dropped, as in getOrCreateNodeIndex.
+	 * @param {number} i Node index.
+	 * @param {string} newName New name.
+	 * @returns {boolean} False if the name is taken and the node kept its old one.
 	 */
 	renameNode(i, newName) {
-		this.nodes[i].name = newName;
+		if (this.findNode(newName, i) >= 0) return false;
+		this.nodes[i].name = newName.trim();
+		return true;
+	}
+
+	/**
+	 * Merge two nodes that stand for the same person. The kept node takes over the other's
+	 * friendships; where both knew someone, the edge keeps the earliest start and the latest
+	 * end, and both notes. It keeps its own image, or takes the other's if it has none.
+	 * @param {number} keep Node index that stays.
+	 * @param {number} drop Node index that is deleted.
+	 * @returns {void}
+	 */
+	mergeNodes(keep, drop) {
+		if (keep === drop || this.nodes[keep] === null || this.nodes[drop] === null) return;
+		if (this.nodes[keep].image === null) this.nodes[keep].image = this.nodes[drop].image;
+
+		/** @type {Edge[]} */
+		var moved = [];
+		for (const edge of this.edges) {
+			if (edge.a !== drop && edge.b !== drop) continue;
+			var other = edge.a === drop ? edge.b : edge.a;
+			if (other === keep) continue;
+			var e = this.findEdge(keep, other);
+			if (e === -1) {
+				var copy = edge.clone();
+				copy.a = Math.min(keep, other);
+				copy.b = Math.max(keep, other);
+				moved.push(copy);
+				continue;
+			}
+			var kept = this.edges[e];
+			if (edge.start.getTime() < kept.start.getTime()) kept.start = edge.start;
+			if (kept.end !== null && (edge.end === null || edge.end.getTime() > kept.end.getTime())) {
+				kept.end = edge.end;
+			}
+			if (edge.note && edge.note !== kept.note) {
+				kept.note = kept.note ? kept.note + "\n" + edge.note : edge.note;
+			}
+		}
+		this.deleteNode(drop);
+		for (const edge of moved) this.edges.push(edge);
+		this.structureChanged();
+	}
+
+	/**
+	 * Copy the current nodes and edges.
+	 * @returns {GraphSnapshot} The snapshot.
+	 */
+	snapshot() {
+		return {
+			nodes: this.nodes.map(n => n === null ? null : n.clone()),
+			edges: this.edges.map(e => e.clone())
+		};
+	}
+
+	/**
+	 * Return to a snapshot. Every node goes back to its original index, so restored nodes and
+	 * edges keep their element ids.
+	 * @param {GraphSnapshot} snap Snapshot from snapshot().
+	 * @param {boolean} withPositions If false, nodes present both now and in the snapshot keep
+	 * their current position instead of jumping back.
+	 * @returns {void}
+	 */
+	restore(snap, withPositions) {
+		var nodes = snap.nodes.map(n => n === null ? null : n.clone());
+		if (!withPositions) {
+			for (var i = 0; i < nodes.length && i < this.nodes.length; i++) {
+				if (nodes[i] !== null && this.nodes[i] !== null) nodes[i].pos = this.nodes[i].pos;
+			}
+		}
+		this.nodes = nodes;
+		this.edges = snap.edges.map(e => e.clone());
+		this.structureChanged();
+	}
+
+	/**
+	 * @param {number} i Node index.
+	 * @param {GraphMask} [mask] Shown part of the graph; everything if omitted.
+	 * @returns {boolean} True if node i exists and is shown.
+	 */
+	isActive(i, mask) {
+		return this.nodes[i] !== null && (!mask || mask.nodes[i]);
 	}
 
 	/**
 	 * Advance the force simulation by timestep t.
 	 * @param {number} t Timestep in seconds.
+	 * @param {GraphMask} [mask] Only simulate this part of the graph.
 	 * @returns {void}
 	 */
-	update(t) {
+	update(t, mask) {
 		var n = this.nodes.length;
-		if (n === 0) return;
+		this.energy = 0;
+		if (n === 0 || this.frozen) return;
 
 		/** @type {Array<{x:number,y:number}>} */
 		var forces = new Array(n);
 		for (var i = 0; i < n; i++) forces[i] = vec2(0, 0);
 
-		// Node repulsion: applies to all pairs.
+		// Node repulsion: applies to all pairs, approximated with a quadtree on large graphs.
+		/** @type {number[]} */
+		var active = [];
 		for (var i = 0; i < n; i++) {
-			if (this.nodes[i] === null) continue;
-			for (var j = i + 1; j < n; j++) {
-				if (this.nodes[j] === null) continue;
-				var pi = this.nodes[i].pos;
-				var pj = this.nodes[j].pos;
-				// Add a small jitter to avoid zero length vectors.
-				if (vec2.eq(pi, pj)) {
-					pj = vec2.add(pj, this.jitter[j & 7]);
-				}
-				var f = this.nodeRepulsionForce(pi, pj);
-				forces[i] = vec2.sub(forces[i], f);
-				forces[j] = vec2.add(forces[j], f);
-			}
+			if (this.isActive(i, mask)) active.push(i);
+		}
+		var weights = this.repulsionWeights(mask);
+		if (active.length <= this.exactRepulsionMax || this.theta <= 0) {
+			this.addExactRepulsion(forces, active, weights);
+		} else {
+			this.addApproxRepulsion(forces, active, weights);
 		}
 
 		// Edge attraction: only for connected pairs, iterating edges (no adjacency map needed).
-		for (const edge of this.edges) {
-			var i = edge[0];
-			var j = edge[1];
+		for (var e = 0; e < this.edges.length; e++) {
+			if (mask && !mask.edges[e]) continue;
+			var i = this.edges[e].a;
+			var j = this.edges[e].b;
 			if (this.nodes[i] === null || this.nodes[j] === null) continue;
 			var pi = this.nodes[i].pos;
 			var pj = this.nodes[j].pos;
@@ -165,13 +507,174 @@ class Graph {
 
 		// Faint pull to center.
 		for (var i = 0; i < n; i++) {
-			if (this.nodes[i] === null) continue;
+			if (!this.isActive(i, mask)) continue;
 			forces[i] = vec2.sub(forces[i], vec2.mul(this.nodes[i].pos, this.centerK));
 		}
 
-		for (var i = 0; i < n; i++) {
-			if (this.nodes[i] === null) continue;
-			this.nodes[i].pos = vec2.add(this.nodes[i].pos, vec2.mul(forces[i], t));
+		if (this.communityK > 0 && this.communities) this.addCommunityPull(forces, active);
+
+		// Semi-implicit Euler with damping.
+		var gain = this.friction * this.alpha * t;
+		var damp = Math.exp(-this.friction * t);
+		for (const i of active) {
+			var node = this.nodes[i];
+			if (node.pinned) {
+				node.vel = vec2(0, 0);
+				continue;
+			}
+			node.vel = vec2.mul(vec2.add(node.vel, vec2.mul(forces[i], gain)), damp);
+			node.pos = vec2.add(node.pos, vec2.mul(node.vel, t));
+			this.energy += 0.5 * vec2.dot(node.vel, node.vel);
+		}
+		this.alpha *= Math.exp(-this.coolingRate * t);
+	}
+
+	/**
+	 * Pull every node towards the center of the shown members of its community.
+	 * @param {Array<{x:number,y:number}>} forces Per-node force accumulators.
+	 * @param {number[]} active Indices of the simulated nodes.
+	 * @returns {void}
+	 */
+	addCommunityPull(forces, active) {
+		/** @type {Map<number, {sum:{x:number,y:number}, count:number}>} */
+		var centers = new Map();
+		for (const i of active) {
+			var c = this.communities[i];
+			if (c === undefined || c < 0) continue;
+			var center = centers.get(c) || { sum: vec2(0, 0), count: 0 };
+			center.sum = vec2.add(center.sum, this.nodes[i].pos);
+			center.count++;
+			centers.set(c, center);
+		}
+		for (const i of active) {
+			var own = centers.get(this.communities[i]);
+			if (!own) continue;
+			var toCenter = vec2.sub(vec2.div(own.sum, own.count), this.nodes[i].pos);
+			forces[i] = vec2.add(forces[i], vec2.mul(toCenter, this.communityK));
+		}
+	}
+
+	/**
+	 * Raise the simulation temperature so the layout moves again.
+	 * @param {number} [alpha=1] Temperature to raise to; a hotter simulation is left as is.
+	 * @returns {void}
+	 */
+	reheat(alpha) {
+		this.alpha = Math.max(this.alpha, alpha === undefined ? 1 : alpha);
+	}
+
+	/**
+	 * @returns {boolean} True once the layout has cooled down, or stopped moving after the
+	 * first moments of a reheat. A frozen graph or one without people is always settled.
+	 */
+	isSettled() {
+		// update() moves nothing and leaves alpha alone then, so it would never cool.
+		if (this.frozen || this.nodes.every(node => node === null)) return true;
+		if (this.alpha < this.alphaMin) return true;
+		return this.alpha < 0.5 && this.energy < this.restEnergy;
+	}
+
+	/**
+	 * Per-node repulsion weights of the current force model. For ForceAtlas2 that is degree + 1
+	 * (counting shown edges), divided by its mean over the simulated nodes so the layout keeps
+	 * the same overall scale as the other models. The others weigh every node 1.
+	 * @param {GraphMask} [mask] Shown part of the graph.
+	 * @returns {number[]|null} Weight by node index, or null if every node weighs 1.
+	 */
+	repulsionWeights(mask) {
+		if (this.forceModel !== "forceatlas2") return null;
+		var weights = this.nodes.map(() => 1);
+		for (var e = 0; e < this.edges.length; e++) {
+			if (mask && !mask.edges[e]) continue;
+			weights[this.edges[e].a]++;
+			weights[this.edges[e].b]++;
+		}
+		var sum = 0;
+		var count = 0;
+		for (var i = 0; i < weights.length; i++) {
+			if (!this.isActive(i, mask)) continue;
+			sum += weights[i];
+			count++;
+		}
+		var mean = count > 0 ? sum / count : 1;
+		return weights.map(w => w / mean);
+	}
+
+	/**
+	 * Repulsion between two nodes, pushing node j away from node i (i gets the opposite).
+	 * @param {number} i Node index, smaller than j.
+	 * @param {number} j Node index.
+	 * @param {number[]|null} [weights] Repulsion weights from repulsionWeights.
+	 * @returns {{x:number,y:number}} Force on j.
+	 */
+	pairRepulsion(i, j, weights) {
+		var pi = this.nodes[i].pos;
+		var pj = this.nodes[j].pos;
+		// Add a small jitter to avoid zero length vectors.
+		if (vec2.eq(pi, pj)) {
+			pj = vec2.add(pj, this.jitter[j & 7]);
+		}
+		var f = this.nodeRepulsionForce(pi, pj);
+		return weights ? vec2.mul(f, weights[i] * weights[j]) : f;
+	}
+
+	/**
+	 * Add the repulsion between every pair of nodes to forces, in O(n²).
+	 * @param {Array<{x:number,y:number}>} forces Per-node force accumulators.
+	 * @param {number[]} active Indices of the simulated nodes, ascending.
+	 * @param {number[]|null} [weights] Repulsion weights from repulsionWeights.
+	 * @returns {void}
+	 */
+	addExactRepulsion(forces, active, weights) {
+		for (var a = 0; a < active.length; a++) {
+			var i = active[a];
+			for (var b = a + 1; b < active.length; b++) {
+				var j = active[b];
+				var f = this.pairRepulsion(i, j, weights);
+				forces[i] = vec2.sub(forces[i], f);
+				forces[j] = vec2.add(forces[j], f);
+			}
+		}
+	}
+
+	/**
+	 * Add Barnes–Hut approximated repulsion to forces, in O(n log n). Far away quadtree cells
+	 * push like one node of their total mass at their center of mass; nearby nodes are
+	 * handled exactly, with the same force cap and jitter as addExactRepulsion.
+	 * @param {Array<{x:number,y:number}>} forces Per-node force accumulators.
+	 * @param {number[]} active Indices of the simulated nodes.
+	 * @param {number[]|null} [weights] Repulsion weights from repulsionWeights.
+	 * @returns {void}
+	 */
+	addApproxRepulsion(forces, active, weights) {
+		var points = this.nodes.map(node => node === null ? null : node.pos);
+		var tree = new QuadTree(points, active, weights);
+		for (const i of active) {
+			var pi = this.nodes[i].pos;
+			var stack = [tree.root];
+			while (stack.length > 0) {
+				var cell = stack.pop();
+				if (cell.children === null) {
+					for (const j of cell.bodies) {
+						if (j > i) forces[i] = vec2.sub(forces[i], this.pairRepulsion(i, j, weights));
+						else if (j < i) forces[i] = vec2.add(forces[i], this.pairRepulsion(j, i, weights));
+					}
+					continue;
+				}
+				var inside = pi.x >= cell.x && pi.x <= cell.x + cell.size &&
+					pi.y >= cell.y && pi.y <= cell.y + cell.size;
+				var dist = vec2.len(vec2.sub(cell.center, pi));
+				// A cell holding node i itself is always opened, so i never pushes itself.
+				if (!inside && cell.size / dist < this.theta) {
+					var f = this.nodeRepulsionForce(pi, cell.center);
+					var mass = weights ? cell.mass * weights[i] : cell.mass;
+					forces[i] = vec2.sub(forces[i], vec2.mul(f, mass));
+					continue;
+				}
+				for (const child of cell.children) {
+					if (child.mass > 0) stack.push(child);
+				}
+			}
 		}
 	}
 
@@ -182,10 +685,19 @@ class Graph {
 	 * @returns {{x:number,y:number}} Attraction force vector applied to A. (B gets the opposite.)
 	 */
 	edgeAttractionForce(posA, posB) {
-		// it doesn't matter if posA == posB here because we don't divide by distance
 		var delta = vec2.sub(posB, posA);
-		var deltaSq = vec2.pow(delta, 2);
-		return vec2.mul(deltaSq, this.attractK);
+		var dist = vec2.len(delta);
+		if (dist === 0) return vec2(0, 0);
+		var fMag;
+		if (this.forceModel === "fruchterman-reingold") {
+			fMag = this.attractK * dist * dist / this.restLength;
+		} else if (this.forceModel === "forceatlas2") {
+			fMag = this.attractK * dist;
+		} else {
+			// A spring: pulls when stretched past its rest length, pushes when compressed.
+			fMag = this.attractK * (dist - this.restLength);
+		}
+		return vec2.mul(delta, fMag / dist);
 	}
 
 	/**
@@ -198,9 +710,11 @@ class Graph {
 		var delta = vec2.sub(posB, posA);
 		var dist = vec2.len(delta);
 		var dir = vec2.div(delta, dist);
-		var fMag = this.repelK / (dist * dist);
+		var fMag = this.forceModel === "spring-electrical" ?
+			this.repelK / (dist * dist) :
+			this.repelK / (this.restLength * dist);
 		// Cap the force magnitude to avoid extreme values at short distances.
-		return vec2.mul(dir, Math.min(fMag, 100));
+		return vec2.mul(dir, Math.min(fMag, this.maxRepulsion));
 	}
 
 	/**
@@ -208,17 +722,78 @@ class Graph {
 	 * @param {number} i Node index.
 	 * @param {number} j Node index.
 	 * @param {Date} date Connection date.
+	 * @param {string} [type] Relationship type. Existing edges keep theirs if omitted.
 	 * @returns {void}
 	 */
-	addOrUpdateEdge(i, j, date) {
+	addOrUpdateEdge(i, j, date, type) {
 		var a = i < j ? i : j;
 		var b = i < j ? j : i;
 
-		var existing = this.edges.findIndex(e => e[0] === a && e[1] === b);
+		var existing = this.findEdge(a, b);
+		var edge;
 		if (existing !== -1) {
-			this.edges[existing][2] = date;
+			edge = this.edges[existing];
+			if (date.getTime() < edge.start.getTime()) edge.start = date;
 		} else {
-			this.edges.push([a, b, date]);
+			edge = new Edge(a, b, date);
+			this.edges.push(edge);
+			this.structureChanged();
+		}
+		if (type) edge.type = type;
+	}
+
+	/**
+	 * Find the edge between i and j.
+	 * @param {number} i Node index.
+	 * @param {number} j Node index.
+	 * @returns {number} Index into this.edges, or -1 if they are not connected.
+	 */
+	findEdge(i, j) {
+		var a = i < j ? i : j;
+		var b = i < j ? j : i;
+		return this.edges.findIndex(e => e.a === a && e.b === b);
+	}
+
+	/**
+	 * Overwrite fields of an existing edge. Unlike addOrUpdateEdge, a new start date replaces
+	 * the stored one even if it is later.
+	 * @param {number} i Node index.
+	 * @param {number} j Node index.
+	 * @param {{start?:Date, end?:Date|null, type?:string, note?:string}} fields Fields to set.
+	 * @returns {void}
+	 */
+	updateEdge(i, j, fields) {
+		var e = this.findEdge(i, j);
+		if (e === -1) return;
+		var edge = this.edges[e];
+		if (fields.start !== undefined) edge.start = fields.start;
+		if (fields.end !== undefined) edge.end = fields.end;
+		if (fields.type !== undefined) edge.type = fields.type;
+		if (fields.note !== undefined) edge.note = fields.note;
+	}
+
+	/**
+	 * Remove the edge between i and j, leaving both nodes in place.
+	 * @param {number} i Node index.
+	 * @param {number} j Node index.
+	 * @returns {boolean} True if an edge was removed.
+	 */
+	deleteEdge(i, j) {
+		var e = this.findEdge(i, j);
+		if (e === -1) return false;
+		this.edges.splice(e, 1);
+		this.structureChanged();
+		return true;
+	}
+
+	/**
+	 * Pin or unpin every node.
+	 * @param {boolean} pinned New state.
+	 * @returns {void}
+	 */
+	setAllPinned(pinned) {
+		for (const node of this.nodes) {
+			if (node !== null) node.pinned = pinned;
 		}
 	}
 
@@ -235,17 +810,18 @@ class Graph {
 
 		/** @type {Array<[number, number]>} */
 		var removedPairs = [];
-		/** @type {Array<[number, number, Date]>} */
+		/** @type {Edge[]} */
 		var kept = [];
 		for (var e = 0; e < this.edges.length; e++) {
 			var edge = this.edges[e];
-			if (edge[0] === i || edge[1] === i) {
-				removedPairs.push([edge[0], edge[1]]);
+			if (edge.a === i || edge.b === i) {
+				removedPairs.push([edge.a, edge.b]);
 			} else {
 				kept.push(edge);
 			}
 		}
 		this.edges = kept;
+		this.structureChanged();
 		return removedPairs;
 	}
 }
@@ -0,0 +1,110 @@
+/**
+ * One undoable change: graph snapshots taken before and after it.
+ * @typedef {Object} HistoryEntry
+ * @property {string} label What the change did, e.g. "Rename".
+ * @property {GraphSnapshot} before Graph state before the change.
+ * @property {GraphSnapshot} after Graph state after the change.
+ * @property {boolean} positional True if node positions are part of the change (manual moves).
+ * @property {string} [mergeKey] Consecutive entries with the same key collapse into one.
+ */
+
+/**
+ * Make a snapshot share the nodes and edges it has in common with an older one. Snapshots are
+ * never modified, so consecutive entries can keep a single copy of whatever a change didn't
+ * touch instead of two full copies of the graph each.
+ * @param {GraphSnapshot} snap Snapshot to slim down.
+ * @param {GraphSnapshot} base Older snapshot.
+ * @returns {GraphSnapshot} Snapshot equal to snap.
+ */
+function shareUnchanged(snap, base) {
+	return {
+		nodes: snap.nodes.map(function(node, i) {
+			var old = base.nodes[i];
+			return node !== null && old && node.equals(old) ? old : node;
+		}),
+		edges: snap.edges.map(function(edge, e) {
+			var old = base.edges[e];
+			return old && edge.equals(old) ? old : edge;
+		})
+	};
+}
+
+/**
+ * Undo/redo stacks of graph snapshots.
+ */
+export class UndoHistory {
+	/**
+	 * @param {number} [limit=100] Maximum number of undo steps kept.
+	 */
+	constructor(limit) {
+		/** @type {number} */
+		this.limit = limit || 100;
+		/** @type {HistoryEntry[]} */
+		this.done = [];
+		/** @type {HistoryEntry[]} */
+		this.undone = [];
+		/** @type {boolean} */
+		this.sealed = true;
+	}
+
+	/**
+	 * Record a change. Clears the redo stack. If the entry has the same mergeKey as the last
+	 * one and nothing sealed the history in between, the two collapse into a single step.
+	 * Whatever the entry's snapshots have in common with the last one's is shared with it.
+	 * @param {HistoryEntry} entry The change.
+	 * @returns {void}
+	 */
+	push(entry) {
+		this.undone = [];
+		var top = this.done[this.done.length - 1];
+		if (top) entry.before = shareUnchanged(entry.before, top.after);
+		entry.after = shareUnchanged(entry.after, entry.before);
+		if (!this.sealed && top && entry.mergeKey && top.mergeKey === entry.mergeKey) {
+			top.after = entry.after;
+			return;
+		}
+		this.done.push(entry);
+		if (this.done.length > this.limit) this.done.shift();
+		this.sealed = false;
+	}
+
+	/**
+	 * Stop the next entry from merging into the last one, e.g. when a text field loses focus.
+	 * @returns {void}
+	 */
+	seal() {
+		this.sealed = true;
+	}
+
+	/**
+	 * @returns {HistoryEntry|null} The entry to revert, moved onto the redo stack.
+	 */
+	undo() {
+		var entry = this.done.pop();
+		if (!entry) return null;
+		this.undone.push(entry);
+		this.sealed = true;
+		return entry;
+	}
+
+	/**
+	 * @returns {HistoryEntry|null} The entry to re-apply, moved back onto the undo stack.
+	 */
+	redo() {
+		var entry = this.undone.pop();
+		if (!entry) return null;
+		this.done.push(entry);
+		this.sealed = true;
+		return entry;
+	}
+
+	/**
+	 * Forget every entry, e.g. after opening another graph.
+	 * @returns {void}
+	 */
+	clear() {
+		this.done = [];
+		this.undone = [];
+		this.sealed = true;
+	}
+}
@@ -1,4 +1,20 @@
-"use strict";
+import { vec2 } from "./vec2.js";
+import { Graph, RELATIONSHIP_TYPES, FORCE_MODELS } from "./graph.js";
+import {
+	centrality, clusteringCoefficient, connectedComponents, commonFriends, graphSummary, shortestPath,
+	detectCommunities, possibleDuplicates
+} from "./analytics.js";
+import {
+	formatDate, parseDate, serializeState, parseStateText, deserializeGraph, saveState, loadState,
+	SHARE_HASH_PREFIX, shareableState, encodeShareHash, decodeShareHash
+} from "./storage.js";
+import { buildStandaloneSvg, rasterizeSvg } from "./export.js";
+import { isValidYear, parseGroupRows } from "./csv.js";
+import { UndoHistory } from "./history.js";
+import {
+	CANVAS_RENDERER_MIN_NODES, SvgRenderer, CanvasRenderer, nodeAt, edgeId, countLabel, nodeLabel
+} from "./render.js";
+import { LayoutSimulation } from "./simulation.js";
 
 /**
  * @param {string} s Year string like "2020".
@@ -10,14 +26,181 @@ function parseYearInput(s) {
 }
 
 /**
- * @param {Date} d Connection date.
- * @param {Date} now Current date.
- * @returns {string} CSS color string for the edge.
+ * @param {string} type Relationship type.
+ * @returns {string} Label shown for it.
  */
-function edgeColor(d, now) {
-	var ageYears = (now.getTime() - d.getTime()) / (1000 * 60 * 60 * 24 * 365.25);
-	var hue = 120 - Math.min(10, Math.max(0, ageYears)) * 12;
-	return "hsl(" + hue + " 75% 45%)";
+function relationshipLabel(type) {
+	return type.charAt(0).toUpperCase() + type.slice(1);
+}
+
+/**
+ * Fill a select element with one option per relationship type.
+ * @param {HTMLSelectElement} select The select element.
+ * @returns {void}
+ */
+function fillRelationshipSelect(select) {
+	for (const type of RELATIONSHIP_TYPES) {
+		var opt = document.createElement("option");
+		opt.value = type;
+		opt.textContent = relationshipLabel(type);
+		select.appendChild(opt);
+	}
+}
+
+/**
+ * Labels of the FORCE_MODELS.
+ * @type {Object<string, string>}
+ */
+var FORCE_MODEL_LABELS = {
+	"spring-electrical": "Spring-electrical",
+	"fruchterman-reingold": "Fruchterman–Reingold",
+	"forceatlas2": "ForceAtlas2"
+};
+
+/**
+ * Fill a select element with one option per force model.
+ * @param {HTMLSelectElement} select The select element.
+ * @returns {void}
+ */
+function fillForceModelSelect(select) {
+	for (const model of FORCE_MODELS) {
+		var opt = document.createElement("option");
+		opt.value = model;
+		opt.textContent = FORCE_MODEL_LABELS[model];
+		select.appendChild(opt);
+	}
+}
+
+/**
+ * Layout settings tuned with sliders: the Graph field, its label and range. Log sliders move
+ * through orders of magnitude evenly.
+ * @type {Array<{key:string, label:string, min:number, max:number, log:boolean}>}
+ */
+var LAYOUT_SLIDERS = [
+	{ key: "repelK", label: "Repulsion", min: 10000, max: 10000000, log: true },
+	{ key: "attractK", label: "Attraction", min: 0.05, max: 5, log: true },
+	{ key: "centerK", label: "Gravity", min: 0, max: 3, log: false },
+	{ key: "restLength", label: "Edge length", min: 30, max: 300, log: false },
+	{ key: "communityK", label: "Circle pull", min: 0, max: 2, log: false }
+];
+
+/** Steps of a layout slider. */
+var LAYOUT_SLIDER_STEPS = 1000;
+
+/**
+ * Named layout settings, as changes from the Graph defaults.
+ * @type {Object<string, Object>}
+ */
+var LAYOUT_PRESETS = {
+	default: {},
+	compact: { repelK: 300000, attractK: 2, centerK: 1.5, restLength: 60 },
+	airy: { repelK: 3000000, attractK: 0.5, centerK: 0.5, restLength: 180 },
+	clustered: { forceModel: "forceatlas2", repelK: 2000000, attractK: 1.5, centerK: 0.5, communityK: 0.5 }
+};
+
+/**
+ * Fill a select element with one option per layout preset.
+ * @param {HTMLSelectElement} select The select element.
+ * @returns {void}
+ */
+function fillPresetSelect(select) {
+	for (const name in LAYOUT_PRESETS) {
+		var opt = document.createElement("option");
+		opt.value = name;
+		opt.textContent = relationshipLabel(name);
+		select.appendChild(opt);
+	}
+}
+
+/**
+ * @param {string} name Key of LAYOUT_PRESETS.
+ * @returns {Object} Every layout setting of the preset, keyed by Graph field.
+ */
+function presetSettings(name) {
+	var defaults = new Graph();
+	var settings = { forceModel: defaults.forceModel };
+	for (const spec of LAYOUT_SLIDERS) settings[spec.key] = defaults[spec.key];
+	return Object.assign(settings, LAYOUT_PRESETS[name]);
+}
+
+/**
+ * @param {Graph} graph Data model.
+ * @returns {string} The preset the graph's layout settings match, or "" if none.
+ */
+function matchingPreset(graph) {
+	for (const name in LAYOUT_PRESETS) {
+		var settings = presetSettings(name);
+		var same = true;
+		for (const key in settings) {
+			if (graph[key] !== settings[key]) same = false;
+		}
+		if (same) return name;
+	}
+	return "";
+}
+
+/**
+ * @param {{min:number, max:number, log:boolean}} spec Slider description.
+ * @param {number} step Slider position, 0 to LAYOUT_SLIDER_STEPS.
+ * @returns {number} Setting value, rounded to 2 significant digits.
+ */
+function sliderValue(spec, step) {
+	var f = step / LAYOUT_SLIDER_STEPS;
+	var v = spec.log ?
+		spec.min * Math.pow(spec.max / spec.min, f) :
+		spec.min + (spec.max - spec.min) * f;
+	return Number(v.toPrecision(2));
+}
+
+/**
+ * @param {{min:number, max:number, log:boolean}} spec Slider description.
+ * @param {number} value Setting value.
+ * @returns {number} Nearest slider position.
+ */
+function sliderStep(spec, value) {
+	var v = Math.min(spec.max, Math.max(spec.min, value));
+	var f = spec.log ?
+		Math.log(v / spec.min) / Math.log(spec.max / spec.min) :
+		(v - spec.min) / (spec.max - spec.min);
+	return Math.round(f * LAYOUT_SLIDER_STEPS);
+}
+
+/**
+ * @param {number} value Setting value.
+ * @returns {string} Short label, e.g. "1.2M" or "0.5".
+ */
+function formatSetting(value) {
+	if (value >= 1000000) return (value / 1000000) + "M";
+	if (value >= 1000) return (value / 1000) + "k";
+	return String(value);
+}
+
+/**
+ * Add one labelled range input per LAYOUT_SLIDERS entry.
+ * @param {HTMLElement} host Container.
+ * @returns {Object<string, {input:HTMLInputElement, output:HTMLOutputElement}>} Inputs by key.
+ */
+function createLayoutSliders(host) {
+	var sliders = {};
+	for (const spec of LAYOUT_SLIDERS) {
+		var row = document.createElement("div");
+		row.className = "row";
+		var label = document.createElement("label");
+		label.textContent = spec.label + " ";
+		var input = document.createElement("input");
+		input.type = "range";
+		input.min = "0";
+		input.max = String(LAYOUT_SLIDER_STEPS);
+		input.step = "1";
+		input.dataset.key = spec.key;
+		var output = document.createElement("output");
+		label.appendChild(input);
+		label.appendChild(output);
+		row.appendChild(label);
+		host.appendChild(row);
+		sliders[spec.key] = { input: input, output: output };
+	}
+	return sliders;
 }
 
 /**
@@ -30,18 +213,43 @@ function svgSize(svg) {
 }
 
 /**
- * Ensure the SVG viewBox is centered at (0,0).
+ * Set the SVG viewBox so that center sits in the middle of the element.
  * @param {SVGSVGElement} svg The SVG element.
+ * @param {number} [zoom=1] Screen pixels per SVG unit.
+ * @param {{x:number,y:number}} [center] Point shown in the middle; (0,0) if omitted.
  * @returns {void}
  */
-function updateViewBox(svg, zoom) {
+function updateViewBox(svg, zoom, center) {
 	if (zoom === undefined) zoom = 1;
+	if (center === undefined) center = vec2(0, 0);
 	// Prevent invalid/negative zoom from creating a broken viewBox.
 	zoom = Math.max(0.05, zoom);
 	var s = svgSize(svg);
 	var vw = s.w / zoom;
 	var vh = s.h / zoom;
-	svg.setAttribute("viewBox", (-vw / 2) + " " + (-vh / 2) + " " + vw + " " + vh);
+	svg.setAttribute("viewBox", (center.x - vw / 2) + " " + (center.y - vh / 2) + " " + vw + " " + vh);
+}
+
+/**
+ * Bounding box of the drawn nodes, including their labels.
+ * @param {Graph} graph Data model.
+ * @param {GraphMask|null} mask Shown part of the graph, or null for everything.
+ * @returns {{min:{x:number,y:number}, max:{x:number,y:number}}|null} Bounds, or null if no node
+ * is shown.
+ */
+function nodeBounds(graph, mask) {
+	var min = vec2(Infinity, Infinity);
+	var max = vec2(-Infinity, -Infinity);
+	for (var i = 0; i < graph.nodes.length; i++) {
+		if (!graph.isActive(i, mask)) continue;
+		var p = graph.nodes[i].pos;
+		var r = graph.nodeRadius;
+		min = vec2(Math.min(min.x, p.x - r), Math.min(min.y, p.y - r));
+		// Labels are ~12 units tall, hanging down to 6 units below their baseline.
+		max = vec2(Math.max(max.x, p.x + r), Math.max(max.y, p.y + Math.max(r, graph.labelOffset + 6)));
+	}
+	if (min.x === Infinity) return null;
+	return { min: min, max: max };
 }
 
 /**
@@ -59,25 +267,6 @@ function clientToSvg(svg, clientX, clientY) {
 	return vec2(p.x, p.y);
 }
 
-/**
- * @param {string} tag SVG tag name.
- * @returns {SVGElement} Created SVG element.
- */
-function svgEl(tag) {
-	return document.createElementNS("http://www.w3.org/2000/svg", tag);
-}
-
-/**
- * Set the href on an SVG <image> element in a cross-browser way.
- * @param {SVGImageElement} img The SVG image element.
- * @param {string} href Data URL or URL.
- * @returns {void}
- */
-function setSvgImageHref(img, href) {
-	img.setAttribute("href", href);
-	img.setAttributeNS("http://www.w3.org/1999/xlink", "xlink:href", href);
-}
-
 /**
  * @param {HTMLInputElement} input File input element.
  * @param {number} maxSize Maximum width/height in pixels.
@@ -108,6 +297,49 @@ function readAndResizeImage(input, maxSize) {
 	});
 }
 
+/**
+ * @param {HTMLInputElement} input File input element.
+ * @returns {Promise<string>} Resolves to the text of the chosen file.
+ */
+function readTextFile(input) {
+	return new Promise(function(resolve, reject) {
+		var reader = new FileReader();
+		reader.onload = function() {
+			resolve(/** @type {string} */(reader.result));
+		};
+		reader.onerror = function() {
+			reject(reader.error);
+		};
+		reader.readAsText(input.files[0]);
+	});
+}
+
+/**
+ * Offer a blob to the user as a file download.
+ * @param {Blob} blob File contents.
+ * @param {string} fileName Suggested file name.
+ * @returns {void}
+ */
+function downloadBlob(blob, fileName) {
+	var url = URL.createObjectURL(blob);
+	var a = document.createElement("a");
+	a.href = url;
+	a.download = fileName;
+	document.body.appendChild(a);
+	a.click();
+	a.remove();
+	setTimeout(function() { URL.revokeObjectURL(url); }, 0);
+}
+
+/**
+ * @param {string} title Graph title.
+ * @returns {string} A file name stem derived from the title.
+ */
+function fileStemFromTitle(title) {
+	var stem = title.trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+	return stem || "friend-graph";
+}
+
 /**
  * Create one node input.
  * @param {HTMLElement} host Container for inputs.
@@ -139,14 +371,153 @@ function syncFriendDatalist(graph, datalist) {
 }
 
 /**
- * @param {number} a Node index.
- * @param {number} b Node index.
- * @returns {string} SVG edge id.
+ * Find the edge closest to a point, if one is within a tolerance.
+ * @param {Graph} graph Data model.
+ * @param {{x:number,y:number}} p Point in SVG coordinates.
+ * @param {number} tolerance Maximum distance in SVG units.
+ * @param {GraphMask|null} mask Shown part of the graph; hidden edges are skipped.
+ * @returns {number} Index into graph.edges, or -1 if no edge is close enough.
+ */
+function findEdgeAt(graph, p, tolerance, mask) {
+	var best = -1;
+	var bestDist = tolerance;
+	for (var e = 0; e < graph.edges.length; e++) {
+		if (mask && !mask.edges[e]) continue;
+		var a = graph.nodes[graph.edges[e].a].pos;
+		var b = graph.nodes[graph.edges[e].b].pos;
+		var ab = vec2.sub(b, a);
+		var lenSq = vec2.dot(ab, ab);
+		var t = lenSq > 0 ? vec2.dot(vec2.sub(p, a), ab) / lenSq : 0;
+		t = Math.max(0, Math.min(1, t));
+		var dist = vec2.len(vec2.sub(p, vec2.add(a, vec2.mul(ab, t))));
+		if (dist <= bestDist) {
+			best = e;
+			bestDist = dist;
+		}
+	}
+	return best;
+}
+
+/**
+ * Directions of the arrow keys in SVG coordinates (y grows downward).
+ * @type {Object<string, {x:number,y:number}>}
+ */
+var ARROW_DIRECTIONS = {
+	ArrowRight: vec2(1, 0),
+	ArrowLeft: vec2(-1, 0),
+	ArrowUp: vec2(0, -1),
+	ArrowDown: vec2(0, 1)
+};
+
+/**
+ * Pick the friend of a node that lies furthest along a direction, for arrow-key navigation.
+ * @param {Graph} graph Data model.
+ * @param {number} i Node index.
+ * @param {{x:number,y:number}} dir Unit direction.
+ * @param {GraphMask|null} mask Shown part of the graph; hidden friends are skipped.
+ * @returns {number} Node index of the friend, or -1 if none lies that way.
+ */
+function neighbourInDirection(graph, i, dir, mask) {
+	var best = -1;
+	var bestScore = Infinity;
+	for (const j of graph.adjacency(mask)[i]) {
+		if (mask && !mask.nodes[j]) continue;
+		var d = vec2.sub(graph.nodes[j].pos, graph.nodes[i].pos);
+		var dist = vec2.len(d);
+		var cos = dist > 0 ? vec2.dot(d, dir) / dist : 0;
+		if (cos <= 0) continue;
+		// Friends off to the side count as farther away than those straight ahead.
+		if (dist / cos < bestScore) {
+			best = j;
+			bestScore = dist / cos;
+		}
+	}
+	return best;
+}
+
+/**
+ * @param {Graph} graph Data model.
+ * @returns {{min:number, max:number}|null} Years the timeline covers, from the first connection
+ * to this year (or the latest connection if later), or null if there are no connections.
+ */
+function timelineRange(graph) {
+	if (graph.edges.length === 0) return null;
+	var min = Infinity;
+	var max = new Date().getFullYear();
+	for (const edge of graph.edges) {
+		min = Math.min(min, edge.start.getFullYear());
+		max = Math.max(max, edge.start.getFullYear());
+	}
+	return { min: min, max: max };
+}
+
+/**
+ * Work out what existed in a given year. An edge existed if it started in or before that year
+ * and had not ended before it. A person counts from their first connection on; people without
+ * any connection are always shown.
+ * @param {Graph} graph Data model.
+ * @param {number} year The year.
+ * @returns {GraphMask} Shown nodes and edges.
+ */
+function timelineMask(graph, year) {
+	/** @type {number[]} */
+	var firstYear = new Array(graph.nodes.length).fill(Infinity);
+	var edges = graph.edges.map(function(edge) {
+		var start = edge.start.getFullYear();
+		firstYear[edge.a] = Math.min(firstYear[edge.a], start);
+		firstYear[edge.b] = Math.min(firstYear[edge.b], start);
+		return start <= year && (edge.end === null || edge.end.getFullYear() >= year);
+	});
+	var nodes = graph.nodes.map(function(node, i) {
+		return node !== null && (firstYear[i] === Infinity || firstYear[i] <= year);
+	});
+	return { nodes: nodes, edges: edges };
+}
+
+/**
+ * Narrow a mask down to a set of nodes and the edges between them.
+ * @param {Graph} graph Data model.
+ * @param {GraphMask|null} mask Mask to narrow, or null for everything.
+ * @param {boolean[]} keep Nodes to keep, by index.
+ * @returns {GraphMask} The narrowed mask.
+ */
+function restrictMask(graph, mask, keep) {
+	var nodes = graph.nodes.map((node, i) => keep[i] === true && graph.isActive(i, mask));
+	var edges = graph.edges.map((edge, e) =>
+		nodes[edge.a] && nodes[edge.b] && (!mask || mask.edges[e]));
+	return { nodes: nodes, edges: edges };
+}
+
+/**
+ * Move people who just appeared on the timeline next to the friends they joined, so they
+ * don't pop up wherever the full layout had them.
+ * @param {Graph} graph Data model.
+ * @param {GraphMask|null} before Mask shown until now (null for everything).
+ * @param {GraphMask|null} after Mask shown from now on (null for everything).
+ * @returns {number[]} Indices of the nodes moved.
  */
-function edgeId(a, b) {
-	var x = a < b ? a : b;
-	var y = a < b ? b : a;
-	return "edge-" + x + ":" + y;
+function placeJoiningNodes(graph, before, after) {
+	/** @type {number[]} */
+	var moved = [];
+	if (!before) return moved;
+	for (var i = 0; i < graph.nodes.length; i++) {
+		if (graph.isFree(i) || before.nodes[i] || (after && !after.nodes[i])) continue;
+		var sum = vec2(0, 0);
+		var count = 0;
+		for (var e = 0; e < graph.edges.length; e++) {
+			var edge = graph.edges[e];
+			if (after && !after.edges[e]) continue;
+			var other = edge.a === i ? edge.b : edge.b === i ? edge.a : -1;
+			if (other < 0 || !before.nodes[other]) continue;
+			sum = vec2.add(sum, graph.nodes[other].pos);
+			count++;
+		}
+		if (count > 0) {
+			graph.nodes[i].pos = vec2.add(vec2.div(sum, count), graph.jitter[i & 7]);
+			moved.push(i);
+		}
+	}
+	return moved;
 }
 
 /**
@@ -195,117 +566,214 @@ function collectNames(host) {
 }
 
 /**
- * Create missing SVG elements for nodes/edges and update existing ones.
- * @param {Graph} graph Data model.
- * @param {SVGSVGElement} svg Root svg.
- * @param {SVGDefsElement} defs SVG defs for clip paths.
- * @param {SVGGElement} edgesG Edge group.
- * @param {SVGGElement} nodesG Node group.
- * @param {number} selectedIndex Selected node index.
- * @param {(idx:number, ev:PointerEvent)=>void} onNodePointerDown Node pointerdown callback.
+ * Fill the CSV preview table with one row per parsed group.
+ * @param {HTMLTableElement} table Preview table.
+ * @param {GroupRow[]} rows Parsed rows.
  * @returns {void}
  */
-function syncSvg(graph, svg, defs, edgesG, nodesG, selectedIndex, onNodePointerDown) {
-	var now = new Date();
+function renderGroupPreview(table, rows) {
+	table.innerHTML = "";
+	for (const row of rows) {
+		var tr = document.createElement("tr");
+		if (row.errors.length > 0) tr.classList.add("error");
+		var cells = [
+			String(row.line),
+			row.year,
+			row.names.join(", "),
+			row.errors.length > 0 ? row.errors.join("; ") : "OK"
+		];
+		for (const text of cells) {
+			var td = document.createElement("td");
+			td.textContent = text;
+			tr.appendChild(td);
+		}
+		table.appendChild(tr);
+	}
+}
 
-	for (const edge of graph.edges) {
-		var id = edgeId(edge[0], edge[1]);
-		/** @type {SVGLineElement} */
-		var line = /** @type {SVGLineElement} */(document.getElementById(id));
-		if (!line) {
-			line = /** @type {SVGLineElement} */(svgEl("line"));
-			line.id = id;
-			line.classList.add("edge");
-			edgesG.appendChild(line);
-		}
-		var a = graph.nodes[edge[0]].pos;
-		var b = graph.nodes[edge[1]].pos;
-		line.setAttribute("x1", a.x);
-		line.setAttribute("y1", a.y);
-		line.setAttribute("x2", b.x);
-		line.setAttribute("y2", b.y);
-		line.setAttribute("stroke", edgeColor(edge[2], now));
+/**
+ * @param {EventTarget} target Event target.
+ * @returns {boolean} True if the target is a field with its own text undo.
+ */
+function isTextField(target) {
+	if (!(target instanceof HTMLElement)) return false;
+	return target.isContentEditable || target.tagName === "INPUT" || target.tagName === "TEXTAREA";
+}
+
+/**
+ * @param {string} s Any text.
+ * @returns {string} s in lower case without accents, for loose comparisons.
+ */
+function foldForSearch(s) {
+	return s.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+/**
+ * How well a search query matches a name. Every query character must appear in the name in
+ * order; runs of consecutive characters and characters at the start of a word score higher,
+ * and a plain substring beats any scattered match.
+ * @param {string} query Folded query, from foldForSearch.
+ * @param {string} name Name to match.
+ * @returns {number} Score, or -1 if the name does not match.
+ */
+function fuzzyScore(query, name) {
+	var text = foldForSearch(name);
+	var at = text.indexOf(query);
+	if (at >= 0) {
+		var wordStart = at === 0 || text[at - 1] === " ";
+		return 1000 + (wordStart ? 100 : 0) - at;
+	}
+	var score = 0;
+	var last = -2;
+	var pos = 0;
+	for (const c of query) {
+		pos = text.indexOf(c, pos);
+		if (pos < 0) return -1;
+		if (pos === last + 1) score += 3;
+		else if (pos === 0 || text[pos - 1] === " ") score += 2;
+		else score += 1;
+		last = pos;
+		pos++;
 	}
+	return score;
+}
 
+/**
+ * Find the shown nodes whose name matches a search query.
+ * @param {Graph} graph Data model.
+ * @param {string} query Text typed into the search box.
+ * @param {GraphMask|null} mask Shown part of the graph, or null for everything.
+ * @returns {number[]} Matching node indices, best match first.
+ */
+function searchNodes(graph, query, mask) {
+	var folded = foldForSearch(query.trim());
+	if (folded.length === 0) return [];
+	var scores = new Map();
 	for (var i = 0; i < graph.nodes.length; i++) {
-		if (graph.isFree(i)) continue;
-		var nid = "node" + i;
-		/** @type {SVGGElement} */
-		var g = /** @type {SVGGElement} */(document.getElementById(nid));
-		if (!g) {
-			g = /** @type {SVGGElement} */(svgEl("g"));
-			g.id = nid;
-			g.classList.add("node");
-			g.setAttribute("data-idx", String(i));
-			g.addEventListener("pointerdown", function(ev) {
-				var idx = parseInt(this.getAttribute("data-idx"), 10);
-				onNodePointerDown(idx, ev);
-			});
+		if (!graph.isActive(i, mask)) continue;
+		var score = fuzzyScore(folded, graph.nodes[i].name);
+		if (score >= 0) scores.set(i, score);
+	}
+	return Array.from(scores.keys()).sort((a, b) =>
+		scores.get(b) - scores.get(a) || graph.nodes[a].name.localeCompare(graph.nodes[b].name));
+}
 
-			var clipId = "clip" + i;
-			var clip = /** @type {SVGClipPathElement} */(document.getElementById(clipId));
-			if (!clip) {
-				clip = /** @type {SVGClipPathElement} */(svgEl("clipPath"));
-				clip.id = clipId;
-				var cc = svgEl("circle");
-				cc.setAttribute("r", "22");
-				cc.setAttribute("cx", "0");
-				cc.setAttribute("cy", "0");
-				clip.appendChild(cc);
-				defs.appendChild(clip);
-			}
+/** Outline colors given to new friend circles, in order. */
+var CIRCLE_COLORS = ["#e6194b", "#3cb44b", "#4363d8", "#f58231", "#911eb4", "#42d4f4", "#f032e6", "#9a6324"];
 
-			var img = /** @type {SVGImageElement} */(svgEl("image"));
-			img.setAttribute("x", "-22");
-			img.setAttribute("y", "-22");
-			img.setAttribute("width", "44");
-			img.setAttribute("height", "44");
-			img.setAttribute("preserveAspectRatio", "xMidYMid slice");
-			img.setAttribute("clip-path", "url(#" + clipId + ")");
-
-			var bg = svgEl("circle");
-			bg.classList.add("bg");
-			bg.setAttribute("r", "22");
-			bg.setAttribute("cx", "0");
-			bg.setAttribute("cy", "0");
-
-			var outline = svgEl("circle");
-			outline.classList.add("outline");
-			outline.setAttribute("r", "22");
-			outline.setAttribute("cx", "0");
-			outline.setAttribute("cy", "0");
-
-			var t = svgEl("text");
-			t.setAttribute("x", "0");
-			t.setAttribute("y", "38");
-			t.setAttribute("text-anchor", "middle");
-			t.textContent = graph.nodes[i].name;
-
-			g.appendChild(bg);
-			g.appendChild(img);
-			g.appendChild(outline);
-			g.appendChild(t);
-			nodesG.appendChild(g);
-		}
-
-		g.setAttribute("data-idx", String(i));
-		if (i === selectedIndex) g.classList.add("selected");
-		else g.classList.remove("selected");
+/**
+ * A community of friends shown in the legend.
+ * @typedef {Object} Circle
+ * @property {string} name Name shown in the legend.
+ * @property {string} color Outline color, "#rrggbb".
+ * @property {boolean} hidden True if its members are hidden.
+ * @property {number[]} members Node indices.
+ */
 
-		var p = graph.nodes[i].pos;
-		g.setAttribute("transform", "translate(" + p.x + "," + p.y + ")");
-		var label = /** @type {SVGTextElement} */(g.querySelector("text"));
-		label.textContent = graph.nodes[i].name;
-
-		var nodeImg = /** @type {SVGImageElement} */(g.querySelector("image"));
-		if (graph.nodes[i].image) {
-			setSvgImageHref(nodeImg, graph.nodes[i].image);
-			nodeImg.style.display = "block";
-		} else {
-			nodeImg.removeAttribute("href");
-			nodeImg.removeAttributeNS("http://www.w3.org/1999/xlink", "href");
-			nodeImg.style.display = "none";
+/**
+ * @param {Graph} graph Data model.
+ * @param {SavedCircle[]} saved Circles as saved.
+ * @returns {Circle[]} The circles with members looked up by name.
+ */
+function circlesFromSaved(graph, saved) {
+	return saved.map(function(circle) {
+		var members = [];
+		for (const name of circle.members) {
+			var idx = graph.nodes.findIndex(n => n !== null && n.name === name);
+			if (idx >= 0) members.push(idx);
 		}
+		return { name: circle.name, color: circle.color, hidden: circle.hidden, members: members };
+	});
+}
+
+/**
+ * @param {Graph} graph Data model.
+ * @param {Circle[]} circles Circles of the legend.
+ * @returns {SavedCircle[]} The circles with members listed by name.
+ */
+function circlesToSaved(graph, circles) {
+	return circles.map(circle => ({
+		name: circle.name,
+		color: circle.color,
+		hidden: circle.hidden,
+		// Members are refreshed a frame after edits, so some may be gone already (e.g. undone).
+		members: circle.members.filter(i => graph.nodes[i]).map(i => graph.nodes[i].name)
+	}));
+}
+
+/**
+ * Turn freshly detected communities into legend circles. Each community takes over the name,
+ * color and visibility of the previous circle it shares the most members with, so user
+ * settings survive edits that reshuffle the community numbers. The others get new defaults.
+ * @param {Circle[]} previous Circles before the graph changed.
+ * @param {number[]} communities Community by node index, from detectCommunities.
+ * @returns {Circle[]} One circle per community, indexed by community number.
+ */
+function matchCircles(previous, communities) {
+	/** @type {number[][]} */
+	var groups = [];
+	communities.forEach(function(c, i) {
+		if (c < 0) return;
+		while (groups.length <= c) groups.push([]);
+		groups[c].push(i);
+	});
+	var taken = new Set();
+	var circles = groups.map(function(members) {
+		var best = -1;
+		var bestOverlap = 0;
+		previous.forEach(function(circle, p) {
+			if (taken.has(p)) return;
+			var overlap = circle.members.filter(i => communities[i] === communities[members[0]]).length;
+			if (overlap > bestOverlap) {
+				best = p;
+				bestOverlap = overlap;
+			}
+		});
+		if (best < 0) return { name: "", color: "", hidden: false, members: members };
+		taken.add(best);
+		var match = previous[best];
+		return { name: match.name, color: match.color, hidden: match.hidden, members: members };
+	});
+
+	var names = new Set(circles.map(c => c.name));
+	var colors = new Set(circles.map(c => c.color));
+	var number = 1;
+	for (const circle of circles) {
+		if (circle.name) continue;
+		while (names.has("Circle " + number)) number++;
+		circle.name = "Circle " + number;
+		names.add(circle.name);
+		circle.color = CIRCLE_COLORS.find(color => !colors.has(color)) ||
+			CIRCLE_COLORS[circles.indexOf(circle) % CIRCLE_COLORS.length];
+		colors.add(circle.color);
+	}
+	return circles;
+}
+
+/**
+ * @param {number} v Share in [0, 1].
+ * @returns {string} Rounded percentage, e.g. "42%".
+ */
+function formatShare(v) {
+	return Math.round(v * 100) + "%";
+}
+
+/**
+ * Replace the contents of a definition list with term/value pairs.
+ * @param {HTMLElement} dl The dl element.
+ * @param {Array<[string, string|HTMLElement]>} items Terms and their values.
+ * @returns {void}
+ */
+function fillDefinitionList(dl, items) {
+	dl.textContent = "";
+	for (const [term, value] of items) {
+		var dt = document.createElement("dt");
+		dt.textContent = term;
+		var dd = document.createElement("dd");
+		if (typeof value === "string") dd.textContent = value;
+		else dd.appendChild(value);
+		dl.appendChild(dt);
+		dl.appendChild(dd);
 	}
 }
 
@@ -314,36 +782,169 @@ function syncSvg(graph, svg, defs, edgesG, nodesG, selectedIndex, onNodePointerD
  * @returns {void}
  */
 function main() {
+	/** @type {string} Why the saved graph could not be loaded, told once the page is up. */
+	var loadProblem = "";
+	var saved = null;
+	try {
+		saved = loadState();
+	} catch (err) {
+		loadProblem = err.message;
+	}
 	/** @type {Graph} */
-	var graph = new Graph();
+	var graph = saved ? deserializeGraph(saved) : new Graph();
+	var titleEl = /** @type {HTMLElement} */(document.getElementById("title"));
+	var readOnlyNote = /** @type {HTMLElement} */(document.getElementById("readOnlyNote"));
+	var saveProblem = /** @type {HTMLElement} */(document.getElementById("saveProblem"));
+	var readOnlyBack = /** @type {HTMLAnchorElement} */(document.getElementById("readOnlyBack"));
 	var svg = /** @type {SVGSVGElement} */(document.getElementById("graph"));
-	var defs = /** @type {SVGDefsElement} */(document.getElementById("defs"));
-	var edgesG = /** @type {SVGGElement} */(document.getElementById("edges"));
 	var nodesG = /** @type {SVGGElement} */(document.getElementById("nodes"));
+	var canvas = /** @type {HTMLCanvasElement} */(document.getElementById("graphCanvas"));
+	var graphStatus = /** @type {HTMLElement} */(document.getElementById("graphStatus"));
+	var friendList = /** @type {HTMLElement} */(document.getElementById("friendList"));
 	var namesHost = /** @type {HTMLElement} */(document.getElementById("names"));
 	var datalist = /** @type {HTMLDataListElement} */(document.getElementById("friendNames"));
 	var yearInput = /** @type {HTMLInputElement} */(document.getElementById("year"));
+	var groupType = /** @type {HTMLSelectElement} */(document.getElementById("groupType"));
 	var addBtn = /** @type {HTMLButtonElement} */(document.getElementById("add"));
 	var panelName = /** @type {HTMLElement} */(document.getElementById("panelName"));
 	var panel = /** @type {HTMLElement} */(document.getElementById("panel"));
 	var panelImg = /** @type {HTMLImageElement} */(document.getElementById("panelImg"));
 	var panelFile = /** @type {HTMLInputElement} */(document.getElementById("panelFile"));
 	var panelDegree = /** @type {HTMLElement} */(document.getElementById("panelDegree"));
+	var panelClustering = /** @type {HTMLElement} */(document.getElementById("panelClustering"));
+	var panelBetweenness = /** @type {HTMLElement} */(document.getElementById("panelBetweenness"));
+	var panelCloseness = /** @type {HTMLElement} */(document.getElementById("panelCloseness"));
+	var panelGroup = /** @type {HTMLElement} */(document.getElementById("panelGroup"));
+	var panelCompare = /** @type {HTMLInputElement} */(document.getElementById("panelCompare"));
+	var panelCommon = /** @type {HTMLElement} */(document.getElementById("panelCommon"));
+	var panelPath = /** @type {HTMLElement} */(document.getElementById("panelPath"));
+	var pathHint = /** @type {HTMLElement} */(document.getElementById("pathHint"));
+	var pathPrefer = /** @type {HTMLSelectElement} */(document.getElementById("pathPrefer"));
+	var pathClear = /** @type {HTMLButtonElement} */(document.getElementById("pathClear"));
+	var pathChain = /** @type {HTMLElement} */(document.getElementById("pathChain"));
+	var circleList = /** @type {HTMLElement} */(document.getElementById("circleList"));
+	var summaryBox = /** @type {HTMLDetailsElement} */(document.getElementById("summary"));
+	var summaryList = /** @type {HTMLElement} */(document.getElementById("summaryList"));
+	var duplicatesBox = /** @type {HTMLElement} */(document.getElementById("duplicates"));
+	var duplicateList = /** @type {HTMLElement} */(document.getElementById("duplicateList"));
 	var panelDelete = /** @type {HTMLButtonElement} */(document.getElementById("panelDelete"));
+	var panelPinned = /** @type {HTMLInputElement} */(document.getElementById("panelPinned"));
+	var panelFocus = /** @type {HTMLButtonElement} */(document.getElementById("panelFocus"));
+	var focusDepthSelect = /** @type {HTMLSelectElement} */(document.getElementById("focusDepth"));
+	var focusBar = /** @type {HTMLElement} */(document.getElementById("focusTrail"));
+	var downloadBtn = /** @type {HTMLButtonElement} */(document.getElementById("download"));
+	var openBtn = /** @type {HTMLButtonElement} */(document.getElementById("open"));
+	var openFile = /** @type {HTMLInputElement} */(document.getElementById("openFile"));
+	var shareBtn = /** @type {HTMLButtonElement} */(document.getElementById("share"));
+	var shareImages = /** @type {HTMLInputElement} */(document.getElementById("shareImages"));
+	var exportSvgBtn = /** @type {HTMLButtonElement} */(document.getElementById("exportSvg"));
+	var exportPngBtn = /** @type {HTMLButtonElement} */(document.getElementById("exportPng"));
+	var exportScale = /** @type {HTMLSelectElement} */(document.getElementById("exportScale"));
+	var csvBtn = /** @type {HTMLButtonElement} */(document.getElementById("csv"));
+	var csvImport = /** @type {HTMLElement} */(document.getElementById("csvImport"));
+	var csvText = /** @type {HTMLTextAreaElement} */(document.getElementById("csvText"));
+	var csvFile = /** @type {HTMLInputElement} */(document.getElementById("csvFile"));
+	var csvPreview = /** @type {HTMLTableElement} */(document.getElementById("csvPreview"));
+	var csvConfirm = /** @type {HTMLButtonElement} */(document.getElementById("csvConfirm"));
+	var csvCancel = /** @type {HTMLButtonElement} */(document.getElementById("csvCancel"));
+	var edgePanel = /** @type {HTMLElement} */(document.getElementById("edgePanel"));
+	var edgeNodeA = /** @type {HTMLButtonElement} */(document.getElementById("edgeNodeA"));
+	var edgeNodeB = /** @type {HTMLButtonElement} */(document.getElementById("edgeNodeB"));
+	var edgeStart = /** @type {HTMLInputElement} */(document.getElementById("edgeStart"));
+	var edgeEnd = /** @type {HTMLInputElement} */(document.getElementById("edgeEnd"));
+	var edgeType = /** @type {HTMLSelectElement} */(document.getElementById("edgeType"));
+	var edgeNote = /** @type {HTMLTextAreaElement} */(document.getElementById("edgeNote"));
+	var edgeDelete = /** @type {HTMLButtonElement} */(document.getElementById("edgeDelete"));
+	var timelinePlay = /** @type {HTMLButtonElement} */(document.getElementById("timelinePlay"));
+	var timelineSlider = /** @type {HTMLInputElement} */(document.getElementById("timelineSlider"));
+	var timelineLabel = /** @type {HTMLElement} */(document.getElementById("timelineLabel"));
+	var fitBtn = /** @type {HTMLButtonElement} */(document.getElementById("fit"));
+	var searchInput = /** @type {HTMLInputElement} */(document.getElementById("search"));
+	var forceModelSelect = /** @type {HTMLSelectElement} */(document.getElementById("forceModel"));
+	var presetSelect = /** @type {HTMLSelectElement} */(document.getElementById("layoutPreset"));
+	var slidersHost = /** @type {HTMLElement} */(document.getElementById("layoutSliders"));
+	var pinAllBtn = /** @type {HTMLButtonElement} */(document.getElementById("pinAll"));
+	var unpinAllBtn = /** @type {HTMLButtonElement} */(document.getElementById("unpinAll"));
+	var freezeBox = /** @type {HTMLInputElement} */(document.getElementById("freeze"));
+	var undoBtn = /** @type {HTMLButtonElement} */(document.getElementById("undo"));
+	var redoBtn = /** @type {HTMLButtonElement} */(document.getElementById("redo"));
 
 	/** @type {number} */
 	var selectedIndex = -1;
+	/** @type {[number, number]|null} Endpoints of the selected edge. */
+	var selectedEdge = null;
 	/** @type {number} */
 	var draggingIndex = -1;
 	/** @type {{x:number,y:number}} */
 	var dragOffset = vec2(0, 0);
 	/** @type {{x:number,y:number}} */
 	var dragTarget = vec2(0, 0);
+	/** @type {GraphSnapshot|null} Graph state when the current drag started. */
+	var dragBefore = null;
+	/** @type {boolean} */
+	var dragMoved = false;
+
+	var undoHistory = new UndoHistory();
+
+	/** @type {number|null} Year shown by the timeline, or null to show everything. */
+	var timelineYear = null;
+	/** @type {number} */
+	var timelineTimer = 0;
+	/** @type {GraphMask|null} Timeline mask used for the last frame. */
+	var shownMask = null;
+
+	/**
+	 * Focus mode: the people whose ego networks were opened, in order. The last one is shown
+	 * with their friends; the others are the way back.
+	 * @type {number[]}
+	 */
+	var focusTrail = [];
+	/** @type {number} Hops shown around the focused person. */
+	var focusDepth = 1;
+
+	/** @type {Circle[]} Friend circles of the legend, indexed by community number. */
+	var circles = saved ? circlesFromSaved(graph, saved.circles) : [];
+	/** @type {number} Graph revision the circles were detected for. */
+	var circlesRevision = -1;
 
 	/** @type {number} */
-	var zoom = 1;
+	var zoom = saved ? saved.zoom : 1;
 	var minZoom = 0.2;
 	var maxZoom = 6;
+	/** @type {{x:number,y:number}} Point shown in the middle of the SVG. */
+	var center = saved ? vec2(saved.center) : vec2(0, 0);
+
+	/**
+	 * Pointers currently panning or pinching the canvas, by pointer id, with their last
+	 * client position.
+	 * @type {Map<number, {x:number,y:number}>}
+	 */
+	var panPointers = new Map();
+	/** @type {{mid:{x:number,y:number}, spread:number}|null} Last pan/pinch gesture state. */
+	var gesture = null;
+	/** @type {{x:number,y:number}} Client position where the current pan started. */
+	var panStart = vec2(0, 0);
+	/** @type {boolean} True once the current pan moved far enough not to count as a click. */
+	var panMoved = false;
+	/** @type {number} Animation frame of the running camera move, or 0. */
+	var cameraFrame = 0;
+
+	/** @type {number} Position in the search results that Enter selects next. */
+	var searchCursor = 0;
+
+	/** @type {number} */
+	var saveTimer = 0;
+	/**
+	 * True while showing a graph opened from a share link. It can be explored and rearranged
+	 * but not edited, and is never saved over the user's own graph.
+	 * @type {boolean}
+	 */
+	var readOnly = false;
+
+	/** @type {boolean} True while animation frames are being requested. */
+	var running = false;
+
+	if (saved) titleEl.textContent = saved.title;
 
 	/**
 	 * @param {number} v
@@ -356,74 +957,456 @@ function main() {
 	}
 
 	/**
+	 * Save the graph and view state to localStorage right away.
 	 * @returns {void}
 	 */
-	function applyZoom() {
-		updateViewBox(svg, zoom);
+	function persist() {
+		clearTimeout(saveTimer);
+		saveTimer = 0;
+		if (readOnly) return;
+		// Mostly a full storage quota, from large pictures. It stays up until a save works.
+		saveProblem.hidden = saveState(currentState());
 	}
 
 	/**
-	 * @param {number} idx Node index.
-	 * @param {PointerEvent} ev Pointer event.
+	 * Save shortly after the last call, so bursts of edits (typing, wheel zoom) write once.
 	 * @returns {void}
 	 */
-	function beginDrag(idx, ev) {
-		if (graph.isFree(idx)) return;
-		selectNode(idx);
-		draggingIndex = idx;
-		var p = clientToSvg(svg, ev.clientX, ev.clientY);
-		dragOffset = vec2.sub(p, graph.nodes[idx].pos);
-		dragTarget = graph.nodes[idx].pos;
-		svg.classList.add("dragging");
-		ev.preventDefault();
-		ev.stopPropagation();
-		svg.setPointerCapture(ev.pointerId);
+	function schedulePersist() {
+		clearTimeout(saveTimer);
+		saveTimer = setTimeout(persist, 300);
 	}
 
 	/**
-	 * @param {PointerEvent} ev Pointer event.
-	 * @returns {void}
+	 * @returns {Object} Saved object for the current graph and view.
 	 */
-	function dragMove(ev) {
-		if (draggingIndex < 0) return;
-		var p = clientToSvg(svg, ev.clientX, ev.clientY);
-		dragTarget = vec2.sub(p, dragOffset);
-		graph.nodes[draggingIndex].pos = dragTarget;
-		ev.preventDefault();
+	function currentState() {
+		return serializeState(graph, {
+			title: titleEl.textContent,
+			zoom: zoom,
+			center: center,
+			circles: circlesToSaved(graph, circles)
+		});
 	}
 
 	/**
+	 * Put a finished change on the undo stack.
+	 * @param {string} label What the change did.
+	 * @param {GraphSnapshot} before Snapshot taken just before the change.
+	 * @param {boolean} [positional] True if node positions are part of the change.
+	 * @param {string} [mergeKey] Consecutive changes with the same key undo as one step.
 	 * @returns {void}
 	 */
-	function endDrag() {
-		draggingIndex = -1;
-		svg.classList.remove("dragging");
+	function recordChange(label, before, positional, mergeKey) {
+		undoHistory.push({
+			label: label,
+			before: before,
+			after: graph.snapshot(),
+			positional: !!positional,
+			mergeKey: mergeKey
+		});
+		// Edge edits and renames don't change the graph's revision but may change the listed
+		// years and names.
+		pathKey = "";
+		summaryKey = "";
+		listKey = "";
+		syncUndoButtons();
+		wake();
 	}
 
-	svg.addEventListener("pointermove", dragMove);
-	svg.addEventListener("pointerup", function() { endDrag(); });
-	svg.addEventListener("pointercancel", function() { endDrag(); });
+	/**
+	 * @returns {void}
+	 */
+	function syncUndoButtons() {
+		var top = undoHistory.done[undoHistory.done.length - 1];
+		var next = undoHistory.undone[undoHistory.undone.length - 1];
+		undoBtn.disabled = !top;
+		redoBtn.disabled = !next;
+		undoBtn.title = top ? "Undo " + top.label.toLowerCase() : "Nothing to undo";
+		redoBtn.title = next ? "Redo " + next.label.toLowerCase() : "Nothing to redo";
+	}
 
-	// Mouse wheel zoom (no panning; graph stays centered at 0,0).
-	svg.addEventListener("wheel", function(ev) {
-		ev.preventDefault();
-		ev.stopPropagation();
-		// Smooth zoom factor based on wheel delta.
-		var factor = Math.pow(1.0015, -ev.deltaY);
-		zoom = clamp(zoom * factor, minZoom, maxZoom);
-		applyZoom();
-	}, { passive: false });
+	/**
+	 * Bring the graph and page back to one side of an undo entry.
+	 * @param {HistoryEntry} entry The entry being undone or redone.
+	 * @param {GraphSnapshot} snap entry.before or entry.after.
+	 * @returns {void}
+	 */
+	function applySnapshot(entry, snap) {
+		graph.restore(snap, entry.positional);
+		renderer.prune(graph);
+		if (selectedIndex >= 0 && !graph.isFree(selectedIndex)) selectNode(selectedIndex);
+		else if (selectedEdge && graph.findEdge(selectedEdge[0], selectedEdge[1]) !== -1) {
+			selectEdge(selectedEdge[0], selectedEdge[1]);
+		} else clearSelection();
+		syncFriendDatalist(graph, datalist);
+		syncUndoButtons();
+		persist();
+		wake();
+	}
 
 	/**
-	 * @param {number} idx Node index.
 	 * @returns {void}
 	 */
-	function selectNode(idx) {
+	function undo() {
+		var entry = undoHistory.undo();
+		if (entry) applySnapshot(entry, entry.before);
+	}
+
+	/**
+	 * @returns {void}
+	 */
+	function redo() {
+		var entry = undoHistory.redo();
+		if (entry) applySnapshot(entry, entry.after);
+	}
+
+	/**
+	 * @returns {void}
+	 */
+	function applyZoom() {
+		updateViewBox(svg, zoom, center);
+		// The canvas doesn't follow the viewBox by itself.
+		if (renderer instanceof CanvasRenderer) requestRender();
+	}
+
+	/**
+	 * Zoom while keeping the SVG point under a client position in place.
+	 * @param {number} clientX Client X of the anchor.
+	 * @param {number} clientY Client Y of the anchor.
+	 * @param {number} nextZoom Requested zoom; clamped to the allowed range.
+	 * @returns {void}
+	 */
+	function zoomAt(clientX, clientY, nextZoom) {
+		stopCamera();
+		nextZoom = clamp(nextZoom, minZoom, maxZoom);
+		var p = clientToSvg(svg, clientX, clientY);
+		center = vec2.add(p, vec2.mul(vec2.sub(center, p), zoom / nextZoom));
+		zoom = nextZoom;
+		applyZoom();
+	}
+
+	/**
+	 * Zoom and center so every shown node is in view.
+	 * @returns {void}
+	 */
+	function fitToGraph() {
+		stopCamera();
+		var bounds = nodeBounds(graph, currentMask()) || nodeBounds(graph, null);
+		if (!bounds) {
+			zoom = 1;
+			center = vec2(0, 0);
+		} else {
+			var s = svgSize(svg);
+			var size = vec2.add(vec2.sub(bounds.max, bounds.min), 40);
+			zoom = clamp(Math.min(s.w / size.x, s.h / size.y), minZoom, maxZoom);
+			center = vec2.div(vec2.add(bounds.min, bounds.max), 2);
+		}
+		applyZoom();
+		schedulePersist();
+	}
+
+	/**
+	 * Glide the view center to a point.
+	 * @param {{x:number,y:number}} target Point to center on, in SVG units.
+	 * @returns {void}
+	 */
+	function animateCenter(target) {
+		stopCamera();
+		var from = center;
+		var start = performance.now();
+		var duration = 400;
+		/**
+		 * @param {number} now Frame timestamp.
+		 * @returns {void}
+		 */
+		function step(now) {
+			var f = Math.min(1, Math.max(0, (now - start) / duration));
+			var eased = 1 - Math.pow(1 - f, 3);
+			center = vec2.add(from, vec2.mul(vec2.sub(target, from), eased));
+			applyZoom();
+			if (f < 1) {
+				cameraFrame = requestAnimationFrame(step);
+			} else {
+				cameraFrame = 0;
+				schedulePersist();
+			}
+		}
+		cameraFrame = requestAnimationFrame(step);
+	}
+
+	/**
+	 * Cancel a running camera move, e.g. when the user pans or zooms.
+	 * @returns {void}
+	 */
+	function stopCamera() {
+		if (cameraFrame) cancelAnimationFrame(cameraFrame);
+		cameraFrame = 0;
+	}
+
+	/**
+	 * @returns {{mid:{x:number,y:number}, spread:number}} Midpoint of the panning pointers and
+	 * their mean distance to it (0 for a single pointer).
+	 */
+	function gestureState() {
+		var mid = vec2(0, 0);
+		for (const p of panPointers.values()) mid = vec2.add(mid, p);
+		mid = vec2.div(mid, panPointers.size);
+		var spread = 0;
+		for (const p of panPointers.values()) spread += vec2.len(vec2.sub(p, mid));
+		return { mid: mid, spread: spread / panPointers.size };
+	}
+
+	/**
+	 * Start panning with a pointer that went down on empty canvas. A second pointer turns the
+	 * gesture into a pinch.
+	 * @param {PointerEvent} ev Pointer event.
+	 * @returns {void}
+	 */
+	function beginPan(ev) {
+		stopCamera();
+		if (panPointers.size === 0) {
+			panStart = vec2(ev.clientX, ev.clientY);
+			panMoved = false;
+		}
+		panPointers.set(ev.pointerId, vec2(ev.clientX, ev.clientY));
+		gesture = gestureState();
+		svg.setPointerCapture(ev.pointerId);
+	}
+
+	/**
+	 * @param {PointerEvent} ev Pointer event.
+	 * @returns {void}
+	 */
+	function panMove(ev) {
+		if (!panPointers.has(ev.pointerId)) return;
+		panPointers.set(ev.pointerId, vec2(ev.clientX, ev.clientY));
+		var next = gestureState();
+		if (panPointers.size > 1 || vec2.len(vec2.sub(next.mid, panStart)) > 3) panMoved = true;
+		if (!panMoved) return;
+		if (gesture.spread > 0 && next.spread > 0) {
+			zoomAt(next.mid.x, next.mid.y, zoom * next.spread / gesture.spread);
+		}
+		center = vec2.sub(center, vec2.div(vec2.sub(next.mid, gesture.mid), zoom));
+		applyZoom();
+		svg.classList.add("panning");
+		gesture = next;
+		ev.preventDefault();
+	}
+
+	/**
+	 * Lift a panning pointer. A pan that never moved counts as a click on the canvas.
+	 * @param {PointerEvent} ev Pointer event.
+	 * @returns {void}
+	 */
+	function endPan(ev) {
+		if (!panPointers.delete(ev.pointerId)) return;
+		if (panPointers.size > 0) {
+			gesture = gestureState();
+			return;
+		}
+		gesture = null;
+		svg.classList.remove("panning");
+		if (panMoved) {
+			schedulePersist();
+			return;
+		}
+		var p = clientToSvg(svg, ev.clientX, ev.clientY);
+		var e = findEdgeAt(graph, p, 6 / zoom, currentMask());
+		if (e >= 0) selectEdge(graph.edges[e].a, graph.edges[e].b);
+		else clearSelection();
+	}
+
+	/**
+	 * @param {number} idx Node index.
+	 * @param {PointerEvent} ev Pointer event.
+	 * @returns {void}
+	 */
+	function beginDrag(idx, ev) {
+		if (graph.isFree(idx)) return;
+		if (ev.shiftKey && selectedIndex >= 0 && selectedIndex !== idx) {
+			ev.preventDefault();
+			ev.stopPropagation();
+			setPathEnds([selectedIndex, idx]);
+			return;
+		}
+		selectNode(idx);
+		draggingIndex = idx;
+		dragBefore = graph.snapshot();
+		dragMoved = false;
+		var p = clientToSvg(svg, ev.clientX, ev.clientY);
+		dragOffset = vec2.sub(p, graph.nodes[idx].pos);
+		dragTarget = graph.nodes[idx].pos;
+		svg.classList.add("dragging");
+		wake();
+		ev.preventDefault();
+		ev.stopPropagation();
+		svg.setPointerCapture(ev.pointerId);
+	}
+
+	/**
+	 * @param {PointerEvent} ev Pointer event.
+	 * @returns {void}
+	 */
+	function dragMove(ev) {
+		if (draggingIndex < 0) return;
+		var p = clientToSvg(svg, ev.clientX, ev.clientY);
+		dragTarget = vec2.sub(p, dragOffset);
+		graph.nodes[draggingIndex].pos = dragTarget;
+		dragMoved = true;
+		ev.preventDefault();
+	}
+
+	/**
+	 * Drop the dragged node. Holding Alt while dropping pins it where it is.
+	 * @param {PointerEvent} [ev] The pointer event ending the drag.
+	 * @returns {void}
+	 */
+	function endDrag(ev) {
+		if (draggingIndex < 0) return;
+		var node = graph.nodes[draggingIndex];
+		var pin = !!(ev && ev.altKey) && !node.pinned;
+		if (pin) simulation.setPinned(draggingIndex, true);
+		// The worker only saw the node where the last step held it, not where it was let go.
+		if (dragMoved) simulation.place(draggingIndex);
+		draggingIndex = -1;
+		svg.classList.remove("dragging");
+		if (dragMoved) recordChange("Move", dragBefore, true);
+		else if (pin) recordChange("Pin", dragBefore);
+		if (pin && selectedIndex >= 0) panelPinned.checked = true;
+		dragBefore = null;
+		persist();
+	}
+
+	svg.addEventListener("pointermove", dragMove);
+	svg.addEventListener("pointermove", panMove);
+	svg.addEventListener("pointerup", function(ev) {
+		endDrag(ev);
+		endPan(ev);
+	});
+	svg.addEventListener("pointercancel", function(ev) {
+		endDrag();
+		panMoved = true;
+		endPan(ev);
+	});
+
+	// Mouse wheel zoom, anchored at the cursor.
+	svg.addEventListener("wheel", function(ev) {
+		ev.preventDefault();
+		ev.stopPropagation();
+		// Smooth zoom factor based on wheel delta.
+		var factor = Math.pow(1.0015, -ev.deltaY);
+		zoomAt(ev.clientX, ev.clientY, zoom * factor);
+		schedulePersist();
+	}, { passive: false });
+
+	/** @type {number} Node the keyboard is on while the graph is drawn on the canvas, or -1. */
+	var canvasFocus = -1;
+
+	/**
+	 * Move keyboard focus to a node. On the canvas, the SVG itself keeps focus and the node is
+	 * ringed and announced instead.
+	 * @param {number} idx Node index.
+	 * @returns {void}
+	 */
+	function focusNode(idx) {
+		if (renderer instanceof SvgRenderer) {
+			var g = document.getElementById("node" + idx);
+			if (g) g.focus();
+			return;
+		}
+		canvasFocus = idx;
+		svg.focus();
+		graphStatus.textContent = nodeLabel(graph, idx);
+		revealNode(idx);
+	}
+
+	/**
+	 * Glide the view to a node if it is near or past the edge of the view.
+	 * @param {number} idx Node index.
+	 * @returns {void}
+	 */
+	function revealNode(idx) {
+		var p = graph.nodes[idx].pos;
+		var s = svgSize(svg);
+		var offset = vec2.mul(vec2.sub(p, center), zoom);
+		if (Math.abs(offset.x) > s.w / 2 - 40 || Math.abs(offset.y) > s.h / 2 - 40) animateCenter(p);
+	}
+
+	// Keep nodes reached with Tab or the arrow keys in view.
+	nodesG.addEventListener("focusin", function(ev) {
+		var g = /** @type {Element} */(ev.target).closest(".node");
+		if (!g || draggingIndex >= 0) return;
+		revealNode(parseInt(g.getAttribute("data-idx"), 10));
+	});
+
+	/**
+	 * @returns {number} Node the keyboard is on, or -1.
+	 */
+	function keyboardNodeIndex() {
+		var active = document.activeElement;
+		var g = active ? active.closest(".node") : null;
+		if (g) return parseInt(g.getAttribute("data-idx"), 10);
+		if (active === svg && canvasFocus >= 0 && !graph.isFree(canvasFocus)) return canvasFocus;
+		return -1;
+	}
+
+	// Keyboard use of the graph: the arrow keys follow friendships, Enter opens the side panel,
+	// Delete removes the person after asking, and +/- zoom around the middle of the view.
+	svg.addEventListener("keydown", function(ev) {
+		if (ev.ctrlKey || ev.metaKey || ev.altKey) return;
+		var factor = 0;
+		if (ev.key === "+" || ev.key === "=") factor = 1.25;
+		else if (ev.key === "-" || ev.key === "_") factor = 0.8;
+		if (factor) {
+			ev.preventDefault();
+			var box = svg.getBoundingClientRect();
+			zoomAt(box.left + box.width / 2, box.top + box.height / 2, zoom * factor);
+			schedulePersist();
+			return;
+		}
+
+		var idx = keyboardNodeIndex();
+		if (idx < 0) {
+			// On the canvas there are no nodes to Tab to, so the first arrow press picks one.
+			if (!ARROW_DIRECTIONS[ev.key] || renderer instanceof SvgRenderer) return;
+			ev.preventDefault();
+			var mask = currentMask();
+			var start = selectedIndex >= 0 ? selectedIndex :
+				graph.nodes.findIndex((node, i) => node !== null && (!mask || mask.nodes[i]));
+			if (start >= 0) focusNode(start);
+		} else if (ARROW_DIRECTIONS[ev.key]) {
+			ev.preventDefault();
+			var next = neighbourInDirection(graph, idx, ARROW_DIRECTIONS[ev.key], currentMask());
+			if (next >= 0) focusNode(next);
+		} else if (ev.key === "Enter" || ev.key === " ") {
+			ev.preventDefault();
+			selectNode(idx);
+		} else if ((ev.key === "Delete" || ev.key === "Backspace") && !readOnly) {
+			ev.preventDefault();
+			if (!confirm("Delete " + graph.nodes[idx].name + " and their connections?")) return;
+			var friends = Array.from(graph.neighbours(idx));
+			deleteFriend(idx);
+			if (friends.length > 0) focusNode(friends[0]);
+			else svg.focus();
+		}
+	});
+
+	/**
+	 * @param {number} idx Node index.
+	 * @returns {void}
+	 */
+	function selectNode(idx) {
+		if (selectedEdge) clearSelection();
+		if (pathEnds && pathEnds[0] !== idx) setPathEnds(null);
 		selectedIndex = idx;
 		var node = graph.nodes[idx];
 		panel.style.display = "block";
 		panelName.textContent = node.name;
-		panelDegree.textContent = String(graph.degree(idx));
+		panelName.classList.remove("taken");
+		panelCompare.value = "";
+		syncNodeStats();
+		panelPinned.checked = node.pinned;
 		if (node.image) {
 			panelImg.src = node.image;
 			panelImg.style.display = "block";
@@ -434,8 +1417,250 @@ function main() {
 		panelFile.value = "";
 	}
 
+	/** @type {string} What the side panel stats were last computed for. */
+	var statsKey = "";
+
+	/**
+	 * Fill the side panel stats of the selected node, if the graph or selection changed since
+	 * they were last computed.
+	 * @returns {void}
+	 */
+	function syncNodeStats() {
+		if (selectedIndex < 0) return;
+		var key = selectedIndex + ":" + graph.revision + ":" + panelCompare.value;
+		if (key === statsKey) return;
+		statsKey = key;
+
+		var idx = selectedIndex;
+		var c = centrality(graph);
+		panelDegree.textContent = String(graph.degree(idx));
+		panelClustering.textContent = formatShare(clusteringCoefficient(graph, idx));
+		panelBetweenness.textContent = formatShare(c.betweenness[idx]);
+		panelCloseness.textContent = c.closeness[idx].toFixed(2);
+		var group = connectedComponents(graph).find(members => members.indexOf(idx) >= 0);
+		panelGroup.textContent = String(group ? group.length : 1);
+
+		panelCommon.textContent = "";
+		var other = graph.findNode(panelCompare.value);
+		if (other < 0 || other === idx) return;
+		var common = commonFriends(graph, idx, other);
+		if (common.length === 0) {
+			panelCommon.textContent = "None";
+			return;
+		}
+		for (const k of common) {
+			var link = document.createElement("button");
+			link.className = "link";
+			link.textContent = graph.nodes[k].name;
+			link.addEventListener("click", function() { selectNode(k); });
+			panelCommon.appendChild(link);
+			panelCommon.appendChild(document.createTextNode(" "));
+		}
+	}
+
+	/** @type {[number, number]|null} People to show the chain of friendships between. */
+	var pathEnds = null;
+	/** @type {number[]|null} Chain between pathEnds, or null if there is none. */
+	var path = null;
+	/** @type {string} What path was last computed for. */
+	var pathKey = "";
+
+	/**
+	 * @param {[number, number]|null} ends People to connect, or null to stop showing a path.
+	 * @returns {void}
+	 */
+	function setPathEnds(ends) {
+		pathEnds = ends;
+		pathKey = "";
+		syncPath();
+	}
+
+	/**
+	 * Find the chain between pathEnds and list it in the side panel, if the graph or the ends
+	 * changed since it was last computed.
+	 * @returns {void}
+	 */
+	function syncPath() {
+		if (pathEnds && (graph.isFree(pathEnds[0]) || graph.isFree(pathEnds[1]))) pathEnds = null;
+		panelPath.hidden = !pathEnds;
+		pathHint.hidden = !!pathEnds;
+		if (!pathEnds) {
+			path = null;
+			pathKey = "";
+			return;
+		}
+		var names = pathEnds.map(i => graph.nodes[i].name);
+		var key = pathEnds.join(":") + ":" + graph.revision + ":" + pathPrefer.value + ":" + names.join(":");
+		if (key === pathKey) return;
+		pathKey = key;
+
+		path = shortestPath(graph, pathEnds[0], pathEnds[1], pathPrefer.value || undefined);
+		pathChain.textContent = "";
+		if (!path) {
+			var none = document.createElement("li");
+			none.textContent = names[0] + " and " + names[1] + " are not connected through any chain of friends.";
+			pathChain.appendChild(none);
+			return;
+		}
+		for (var p = 0; p < path.length; p++) {
+			var li = document.createElement("li");
+			li.textContent = graph.nodes[path[p]].name;
+			if (p > 0) {
+				var edge = graph.edges[graph.findEdge(path[p - 1], path[p])];
+				var since = document.createElement("span");
+				since.className = "since";
+				since.textContent = " · " + relationshipLabel(edge.type).toLowerCase() + " since " +
+					edge.start.getFullYear();
+				li.appendChild(since);
+			}
+			pathChain.appendChild(li);
+		}
+	}
+
+	pathPrefer.addEventListener("change", syncPath);
+	pathClear.addEventListener("click", function() { setPathEnds(null); });
+
+	/**
+	 * Detect the friend circles again if the graph changed, and rebuild the legend.
+	 * @returns {void}
+	 */
+	function syncCircles() {
+		if (circlesRevision === graph.revision) return;
+		circlesRevision = graph.revision;
+		var communities = detectCommunities(graph);
+		circles = matchCircles(circles, communities);
+		graph.communities = communities;
+
+		circleList.textContent = "";
+		circles.forEach(function(circle) {
+			var li = document.createElement("li");
+			var shown = document.createElement("input");
+			shown.type = "checkbox";
+			shown.checked = !circle.hidden;
+			shown.title = "Show";
+			shown.addEventListener("change", function() {
+				circle.hidden = !shown.checked;
+				if (circle.hidden && circle.members.indexOf(selectedIndex) >= 0) clearSelection();
+				schedulePersist();
+				wake();
+			});
+			var color = document.createElement("input");
+			color.type = "color";
+			color.value = circle.color;
+			color.title = "Color";
+			color.addEventListener("input", function() {
+				circle.color = color.value;
+				schedulePersist();
+			});
+			var name = document.createElement("input");
+			name.type = "text";
+			name.value = circle.name;
+			name.setAttribute("aria-label", "Circle name");
+			name.addEventListener("input", function() {
+				circle.name = name.value;
+				schedulePersist();
+			});
+			var count = document.createElement("span");
+			count.className = "count";
+			count.textContent = String(circle.members.length);
+			li.appendChild(shown);
+			li.appendChild(color);
+			li.appendChild(name);
+			li.appendChild(count);
+			circleList.appendChild(li);
+		});
+		if (circles.length === 0) {
+			var empty = document.createElement("li");
+			empty.textContent = "Add more friends to find circles.";
+			circleList.appendChild(empty);
+		}
+	}
+
+	/** @type {{revision:number, summary:GraphSummary}|null} Summary of the current graph. */
+	var summaryCache = null;
+	/** @type {string} What the summary list was last filled for. */
+	var summaryKey = "";
+
 	/**
-	 * Apply side-panel name edits to the selected node immediately.
+	 * Fill the graph summary while it is open, if the graph changed since it was last shown.
+	 * @returns {void}
+	 */
+	function syncSummary() {
+		if (!summaryBox.open) return;
+		if (!summaryCache || summaryCache.revision !== graph.revision) {
+			summaryCache = { revision: graph.revision, summary: graphSummary(graph) };
+		}
+		var summary = summaryCache.summary;
+		var top = summary.mostConnected;
+		var key = graph.revision + ":" + (top >= 0 ? graph.nodes[top].name : "");
+		if (key === summaryKey) return;
+		summaryKey = key;
+
+		/** @type {string|HTMLElement} */
+		var topValue = "–";
+		if (top >= 0) {
+			topValue = document.createElement("button");
+			topValue.className = "link";
+			topValue.textContent = graph.nodes[top].name + " (" + graph.degree(top) + ")";
+			topValue.addEventListener("click", function() { selectNode(top); });
+		}
+		fillDefinitionList(summaryList, [
+			["People", String(summary.nodes)],
+			["Connections", String(summary.edges)],
+			["Density", formatShare(summary.density)],
+			["Diameter", summary.diameter + " hops"],
+			["Groups", String(summary.components)],
+			["Most connected", topValue]
+		]);
+
+		duplicateList.innerHTML = "";
+		// Merging is an edit, so a shared graph doesn't offer it.
+		var pairs = readOnly ? [] : possibleDuplicates(graph);
+		duplicatesBox.hidden = pairs.length === 0;
+		for (const [a, b] of pairs) {
+			// Keep whoever has more friends; the other one's friendships move over.
+			var keep = graph.degree(b) > graph.degree(a) ? b : a;
+			var drop = keep === a ? b : a;
+			var li = document.createElement("li");
+			var names = document.createElement("span");
+			names.textContent = graph.nodes[a].name + " / " + graph.nodes[b].name;
+			var merge = document.createElement("button");
+			merge.textContent = "Merge";
+			merge.title = "Merge " + graph.nodes[drop].name + " into " + graph.nodes[keep].name;
+			merge.addEventListener("click", offerMerge.bind(null, keep, drop));
+			li.appendChild(names);
+			li.appendChild(merge);
+			duplicateList.appendChild(li);
+		}
+	}
+
+	summaryBox.addEventListener("toggle", syncSummary);
+	panelCompare.addEventListener("input", syncNodeStats);
+
+	/**
+	 * Merge one person into another after asking, and select the one that stays.
+	 * @param {number} keep Node index that stays.
+	 * @param {number} drop Node index whose friendships move to keep.
+	 * @returns {boolean} True if merged.
+	 */
+	function offerMerge(keep, drop) {
+		var question = "Merge \"" + graph.nodes[drop].name + "\" into \"" + graph.nodes[keep].name +
+			"\"? Their friendships are combined and \"" + graph.nodes[drop].name + "\" is removed.";
+		if (!confirm(question)) return false;
+		var before = graph.snapshot();
+		graph.mergeNodes(keep, drop);
+		recordChange("Merge", before);
+		renderer.prune(graph);
+		clearSelection();
+		selectNode(keep);
+		syncFriendDatalist(graph, datalist);
+		persist();
+		return true;
+	}
+
+	/**
+	 * Apply side-panel name edits to the selected node immediately. A name that another friend
+	 * already has is not applied, and the field is marked until the edit ends.
 	 * @returns {void}
 	 */
 	function liveRenameFromPanel() {
@@ -443,13 +1668,36 @@ function main() {
 		var next = panelName.textContent;
 		if (next.trim().length === 0) return;
 		var before = graph.nodes[selectedIndex].name;
-		graph.renameNode(selectedIndex, next);
+		var snap = graph.snapshot();
+		var renamed = simulation.renameNode(selectedIndex, next);
+		panelName.classList.toggle("taken", !renamed);
+		panelName.title = renamed ? "" : "Another friend already has this name";
 		if (graph.nodes[selectedIndex].name !== before) {
+			recordChange("Rename", snap, false, "rename" + selectedIndex);
 			syncFriendDatalist(graph, datalist);
+			schedulePersist();
 		}
 	}
 
+	/**
+	 * Finish a side-panel name edit. If the name is another friend's, offer to merge the two;
+	 * otherwise the field goes back to the node's name (e.g. when left blank).
+	 * @returns {void}
+	 */
+	function commitPanelName() {
+		undoHistory.seal();
+		panelName.classList.remove("taken");
+		panelName.title = "";
+		if (selectedIndex < 0) return;
+		var typed = panelName.textContent;
+		// A taken name is never applied, so an unchanged name means no collision was typed.
+		var other = typed === graph.nodes[selectedIndex].name ? -1 : graph.findNode(typed, selectedIndex);
+		if (other >= 0 && offerMerge(other, selectedIndex)) return;
+		panelName.textContent = graph.nodes[selectedIndex].name;
+	}
+
 	panelName.addEventListener("input", liveRenameFromPanel);
+	panelName.addEventListener("blur", commitPanelName);
 	panelName.addEventListener("keydown", function(ev) {
 		if (ev.key === "Enter") {
 			ev.preventDefault();
@@ -457,44 +1705,376 @@ function main() {
 		}
 	});
 
-	svg.addEventListener("pointerdown", function() {
-		if (draggingIndex >= 0) return;
+	/**
+	 * Deselect the current node and hide the side panel.
+	 * @returns {void}
+	 */
+	function clearSelection() {
+		undoHistory.seal();
 		selectedIndex = -1;
 		panel.style.display = "none";
 		panelName.textContent = "";
 		panelDegree.textContent = "0";
+		panelCompare.value = "";
+		panelCommon.textContent = "";
+		statsKey = "";
+		setPathEnds(null);
+		panelPinned.checked = false;
 		panelImg.removeAttribute("src");
 		panelImg.style.display = "none";
 		panelFile.value = "";
+		selectedEdge = null;
+		edgePanel.style.display = "none";
+	}
+
+	/**
+	 * Select an edge and show it in the edge panel.
+	 * @param {number} a Node index.
+	 * @param {number} b Node index.
+	 * @returns {void}
+	 */
+	function selectEdge(a, b) {
+		clearSelection();
+		selectedEdge = [a, b];
+		var edge = graph.edges[graph.findEdge(a, b)];
+		edgePanel.style.display = "block";
+		edgeNodeA.textContent = graph.nodes[a].name;
+		edgeNodeB.textContent = graph.nodes[b].name;
+		edgeStart.value = formatDate(edge.start);
+		edgeEnd.value = edge.end ? formatDate(edge.end) : "";
+		edgeType.value = edge.type;
+		edgeNote.value = edge.note;
+	}
+
+	// Nodes are hit-tested by position rather than by element, so this works the same whether
+	// they are drawn as SVG or on the canvas.
+	svg.addEventListener("pointerdown", function(ev) {
+		if (draggingIndex >= 0) return;
+		var idx = nodeAt(graph, clientToSvg(svg, ev.clientX, ev.clientY), currentMask());
+		if (idx >= 0) beginDrag(idx, ev);
+		else beginPan(ev);
 	});
 
-	panelDelete.addEventListener("click", function() {
+	edgeNodeA.addEventListener("click", function() {
+		if (selectedEdge) selectNode(selectedEdge[0]);
+	});
+
+	edgeNodeB.addEventListener("click", function() {
+		if (selectedEdge) selectNode(selectedEdge[1]);
+	});
+
+	/**
+	 * Apply an edit from the edge panel to the selected edge.
+	 * @param {string} label Undo label.
+	 * @param {{start?:Date, end?:Date|null, type?:string, note?:string}} fields Fields to set.
+	 * @returns {void}
+	 */
+	function editSelectedEdge(label, fields) {
+		if (!selectedEdge) return;
+		var before = graph.snapshot();
+		graph.updateEdge(selectedEdge[0], selectedEdge[1], fields);
+		recordChange(label, before, false, label + edgeId(selectedEdge[0], selectedEdge[1]));
+		schedulePersist();
+	}
+
+	edgeStart.addEventListener("change", function() {
+		if (!selectedEdge) return;
+		var edge = graph.edges[graph.findEdge(selectedEdge[0], selectedEdge[1])];
+		var d = parseDate(edgeStart.value);
+		if (!d || (edge.end && edge.end < d)) {
+			// Invalid or after the end date: put the stored value back.
+			edgeStart.value = formatDate(edge.start);
+			return;
+		}
+		editSelectedEdge("Change start date", { start: d });
+	});
+
+	edgeEnd.addEventListener("change", function() {
+		if (!selectedEdge) return;
+		var edge = graph.edges[graph.findEdge(selectedEdge[0], selectedEdge[1])];
+		var d = edgeEnd.value ? parseDate(edgeEnd.value) : null;
+		if ((edgeEnd.value && !d) || (d && d < edge.start)) {
+			edgeEnd.value = edge.end ? formatDate(edge.end) : "";
+			return;
+		}
+		editSelectedEdge("Change end date", { end: d });
+	});
+
+	edgeType.addEventListener("change", function() {
+		editSelectedEdge("Change type", { type: edgeType.value });
+	});
+
+	edgeNote.addEventListener("input", function() {
+		editSelectedEdge("Edit note", { note: edgeNote.value.trim() });
+	});
+
+	edgeNote.addEventListener("blur", function() { undoHistory.seal(); });
+
+	edgeDelete.addEventListener("click", function() {
+		if (!selectedEdge) return;
+		var before = graph.snapshot();
+		graph.deleteEdge(selectedEdge[0], selectedEdge[1]);
+		recordChange("Delete connection", before);
+		renderer.prune(graph);
+		clearSelection();
+		persist();
+	});
+
+	panelFocus.addEventListener("click", function() {
 		if (selectedIndex < 0) return;
 		var idx = selectedIndex;
-		var removedPairs = graph.deleteNode(idx);
+		// Hopping to someone already on the trail goes back to them.
+		var at = focusTrail.indexOf(idx);
+		setFocusTrail(at >= 0 ? focusTrail.slice(0, at + 1) : focusTrail.concat([idx]));
+	});
 
-		var nodeEl = document.getElementById("node" + idx);
-		if (nodeEl) nodeEl.remove();
-		var clipEl = document.getElementById("clip" + idx);
-		if (clipEl) clipEl.remove();
+	focusDepthSelect.addEventListener("change", function() {
+		focusDepth = parseInt(focusDepthSelect.value, 10);
+		if (focusTrail.length > 0) setFocusTrail(focusTrail);
+	});
 
-		for (var r = 0; r < removedPairs.length; r++) {
-			var eid = edgeId(removedPairs[r][0], removedPairs[r][1]);
-			var edgeEl = document.getElementById(eid);
-			if (edgeEl) edgeEl.remove();
+	panelPinned.addEventListener("change", function() {
+		if (selectedIndex < 0) return;
+		var before = graph.snapshot();
+		simulation.setPinned(selectedIndex, panelPinned.checked);
+		recordChange(panelPinned.checked ? "Pin" : "Unpin", before);
+		persist();
+	});
+
+	/** @type {string} What the list view was last filled for. */
+	var listKey = "";
+
+	/**
+	 * Mirror the shown part of the graph in the list view for screen readers: everyone in
+	 * alphabetical order, each with their connections.
+	 * @param {GraphMask|null} mask Shown part of the graph.
+	 * @returns {void}
+	 */
+	function syncListView(mask) {
+		var key = graph.revision + ":" +
+			(mask ? mask.nodes.map(Number).join("") + ":" + mask.edges.map(Number).join("") : "");
+		if (key === listKey) return;
+		listKey = key;
+
+		/** @type {number[][]} Shown edge indices by node. */
+		var shownEdges = graph.nodes.map(() => []);
+		graph.edges.forEach((edge, e) => {
+			if (mask && !mask.edges[e]) return;
+			shownEdges[edge.a].push(e);
+			shownEdges[edge.b].push(e);
+		});
+		var people = [];
+		for (var i = 0; i < graph.nodes.length; i++) {
+			if (!graph.isFree(i) && (!mask || mask.nodes[i])) people.push(i);
 		}
+		var byName = (a, b) => graph.nodes[a].name.localeCompare(graph.nodes[b].name);
 
-		selectedIndex = -1;
-		panel.style.display = "none";
-		panelName.textContent = "";
-		panelDegree.textContent = "0";
-		panelImg.removeAttribute("src");
-		panelImg.style.display = "none";
-		panelFile.value = "";
+		friendList.innerHTML = "";
+		for (const i of people.sort(byName)) {
+			var li = document.createElement("li");
+			var name = document.createElement("button");
+			// Screen readers reach it from the list; keyboard users have the nodes themselves.
+			name.tabIndex = -1;
+			name.textContent = graph.nodes[i].name;
+			name.addEventListener("click", function(idx) {
+				selectNode(idx);
+				focusNode(idx);
+			}.bind(null, i));
+			li.appendChild(name);
+			li.appendChild(document.createTextNode(", " + countLabel(shownEdges[i].length, "connection")));
+
+			var friends = document.createElement("ul");
+			// The friend at the other end of an edge of i.
+			var other = edge => edge.a === i ? edge.b : edge.a;
+			var edges = shownEdges[i].map(e => graph.edges[e]);
+			for (const edge of edges.sort((e1, e2) => byName(other(e1), other(e2)))) {
+				var j = other(edge);
+				var item = document.createElement("li");
+				item.textContent = graph.nodes[j].name + ", " + edge.type + ", " + (edge.end
+					? "from " + edge.start.getFullYear() + " to " + edge.end.getFullYear()
+					: "since " + edge.start.getFullYear());
+				friends.appendChild(item);
+			}
+			if (edges.length > 0) li.appendChild(friends);
+			friendList.appendChild(li);
+		}
+	}
+
+	/**
+	 * Delete a person and their connections.
+	 * @param {number} idx Node index.
+	 * @returns {void}
+	 */
+	function deleteFriend(idx) {
+		if (readOnly) return;
+		var before = graph.snapshot();
+		simulation.deleteNode(idx);
+		recordChange("Delete", before);
+		renderer.prune(graph);
+		if (idx === selectedIndex) clearSelection();
+		syncFriendDatalist(graph, datalist);
+		persist();
+	}
+
+	panelDelete.addEventListener("click", function() {
+		if (selectedIndex >= 0) deleteFriend(selectedIndex);
+	});
+
+	/**
+	 * Replace the whole graph and view with a saved object, e.g. from an opened file.
+	 * @param {Object} data Validated saved object.
+	 * @returns {void}
+	 */
+	function loadGraph(data) {
+		endDrag();
+		clearSelection();
+		renderer.clear();
+		rendererRevision = -1;
+		graph = deserializeGraph(data);
+		simulation.attach(graph);
+		circles = circlesFromSaved(graph, data.circles);
+		circlesRevision = -1;
+		syncCircles();
+		summaryCache = null;
+		summaryKey = "";
+		focusTrail = [];
+		syncFocusTrail();
+		undoHistory.clear();
+		syncUndoButtons();
+		titleEl.textContent = data.title;
+		zoom = clamp(data.zoom, minZoom, maxZoom);
+		center = vec2(data.center);
+		applyZoom();
+		syncSettings();
 		syncFriendDatalist(graph, datalist);
+		persist();
+		wake();
+	}
+
+	downloadBtn.addEventListener("click", function() {
+		var json = JSON.stringify(currentState(), null, "\t");
+		var blob = new Blob([json], { type: "application/json" });
+		downloadBlob(blob, fileStemFromTitle(titleEl.textContent) + ".json");
+	});
+
+	/**
+	 * @returns {{text:string, width:number, height:number}} The graph as a standalone SVG.
+	 */
+	function exportGraphSvg() {
+		if (renderer instanceof SvgRenderer) return buildStandaloneSvg(svg, nodesG);
+		// The canvas has no elements to copy, so draw them as SVG just for the export.
+		var svgRenderer = new SvgRenderer(svg);
+		svgRenderer.draw(graph, renderView(currentMask()));
+		var exported = buildStandaloneSvg(svg, nodesG);
+		svgRenderer.clear();
+		return exported;
+	}
+
+	exportSvgBtn.addEventListener("click", function() {
+		var exported = exportGraphSvg();
+		var blob = new Blob([exported.text], { type: "image/svg+xml" });
+		downloadBlob(blob, fileStemFromTitle(titleEl.textContent) + ".svg");
+	});
+
+	exportPngBtn.addEventListener("click", function() {
+		var exported = exportGraphSvg();
+		rasterizeSvg(exported, parseFloat(exportScale.value)).then(function(blob) {
+			downloadBlob(blob, fileStemFromTitle(titleEl.textContent) + ".png");
+		}).catch(function(err) {
+			alert("Could not export the image: " + err.message);
+		});
+	});
+
+	openBtn.addEventListener("click", function() {
+		openFile.click();
+	});
+
+	openFile.addEventListener("change", function() {
+		if (openFile.files.length === 0) return;
+		readTextFile(openFile).then(function(text) {
+			var data = parseStateText(text);
+			// An opened file is the user's own again, and replaces their saved graph.
+			setReadOnly(false);
+			loadGraph(data);
+		}).catch(function(err) {
+			alert("Could not open this file: " + err.message);
+		}).then(function() {
+			openFile.value = "";
+		});
+	});
+
+	/**
+	 * Turn the read-only view of a shared graph on or off. Dragging, zooming and inspecting
+	 * keep working; the controls that add, rename or delete are disabled.
+	 * @param {boolean} on True to make the graph read-only.
+	 * @returns {void}
+	 */
+	function setReadOnly(on) {
+		readOnly = on;
+		readOnlyNote.hidden = !on;
+		readOnlyBack.href = location.pathname + location.search;
+		titleEl.contentEditable = String(!on);
+		panelName.contentEditable = String(!on);
+		namesHost.hidden = on;
+		for (const control of [
+			yearInput, groupType, addBtn, csvBtn, panelFile, panelDelete,
+			edgeStart, edgeEnd, edgeType, edgeNote, edgeDelete
+		]) {
+			control.disabled = on;
+		}
+		if (on) closeCsvImport();
+		summaryKey = "";
+		// The hash would open the shared graph again on reload.
+		if (!on && location.hash.startsWith(SHARE_HASH_PREFIX)) {
+			history.replaceState(null, "", location.pathname + location.search);
+		}
+	}
+
+	/**
+	 * Show the graph carried by a share link, read-only.
+	 * @param {string} hash URL hash starting with SHARE_HASH_PREFIX.
+	 * @returns {void}
+	 */
+	function openSharedGraph(hash) {
+		decodeShareHash(hash).then(function(data) {
+			setReadOnly(true);
+			loadGraph(data);
+		}).catch(function(err) {
+			alert("Could not open the shared graph: " + err.message);
+		});
+	}
+
+	shareBtn.addEventListener("click", function() {
+		encodeShareHash(shareableState(currentState(), shareImages.checked)).then(function(hash) {
+			var url = location.href.split("#")[0] + hash;
+			return navigator.clipboard.writeText(url).then(function() {
+				shareBtn.textContent = "Link copied";
+				setTimeout(function() { shareBtn.textContent = "Copy share link"; }, 2000);
+			}, function() {
+				// E.g. clipboard access denied: let the user copy it by hand.
+				prompt("Copy this link:", url);
+			});
+		}).catch(function(err) {
+			alert("Could not make a share link: " + err.message);
+		});
 	});
 
+	window.addEventListener("hashchange", function() {
+		if (location.hash.startsWith(SHARE_HASH_PREFIX)) openSharedGraph(location.hash);
+	});
+
+	titleEl.addEventListener("input", schedulePersist);
+	window.addEventListener("pagehide", persist);
+
+	fillRelationshipSelect(groupType);
+	fillRelationshipSelect(edgeType);
+	fillForceModelSelect(forceModelSelect);
+	fillPresetSelect(presetSelect);
+	var sliders = createLayoutSliders(slidersHost);
+	syncSettings();
+	syncFriendDatalist(graph, datalist);
 	resetNameInputs(namesHost);
+	previewCsv();
 	yearInput.value = String(new Date().getFullYear());
 
 	namesHost.addEventListener("input", function() {
@@ -502,42 +2082,480 @@ function main() {
 	});
 
 	addBtn.addEventListener("click", function() {
+		if (!isValidYear(yearInput.value)) {
+			alert("Enter a year between 1900 and 2100.");
+			yearInput.focus();
+			return;
+		}
 		var names = collectNames(namesHost);
 		var d = parseYearInput(yearInput.value);
-		graph.addFriendGroup(names, d);
+		var before = graph.snapshot();
+		simulation.addFriendGroup(names, d, groupType.value);
+		recordChange("Add group", before);
 		syncFriendDatalist(graph, datalist);
 		resetNameInputs(namesHost);
+		persist();
+	});
+
+	/** @type {GroupRow[]} */
+	var csvRows = [];
+
+	/**
+	 * Re-parse the CSV text area and refresh the preview.
+	 * @returns {void}
+	 */
+	function previewCsv() {
+		csvRows = parseGroupRows(csvText.value);
+		renderGroupPreview(csvPreview, csvRows);
+		var valid = csvRows.filter(function(row) { return row.errors.length === 0; }).length;
+		csvConfirm.textContent = "Import " + valid + (valid === 1 ? " group" : " groups");
+		csvConfirm.disabled = valid === 0;
+	}
+
+	/**
+	 * @returns {void}
+	 */
+	function closeCsvImport() {
+		csvImport.hidden = true;
+		csvText.value = "";
+		csvFile.value = "";
+		previewCsv();
+	}
+
+	csvBtn.addEventListener("click", function() {
+		if (csvImport.hidden) {
+			csvImport.hidden = false;
+			csvText.focus();
+		} else {
+			closeCsvImport();
+		}
+	});
+
+	csvText.addEventListener("input", previewCsv);
+
+	csvFile.addEventListener("change", function() {
+		if (csvFile.files.length === 0) return;
+		readTextFile(csvFile).then(function(text) {
+			csvText.value = text;
+			previewCsv();
+		}).catch(function(err) {
+			alert("Could not read this file: " + err.message);
+		}).then(function() {
+			csvFile.value = "";
+		});
+	});
+
+	csvCancel.addEventListener("click", closeCsvImport);
+
+	csvConfirm.addEventListener("click", function() {
+		var before = graph.snapshot();
+		for (const row of csvRows) {
+			if (row.errors.length > 0) continue;
+			simulation.addFriendGroup(row.names, parseYearInput(row.year));
+		}
+		recordChange("Import groups", before);
+		syncFriendDatalist(graph, datalist);
+		closeCsvImport();
+		persist();
 	});
 
 	panelFile.addEventListener("change", function() {
 		if (selectedIndex < 0) return;
+		var idx = selectedIndex;
 		readAndResizeImage(panelFile, 96).then(function(dataUrl) {
-			graph.nodes[selectedIndex].image = dataUrl;
-			panelImg.src = dataUrl;
-			panelImg.style.display = "block";
+			if (graph.isFree(idx)) return;
+			var before = graph.snapshot();
+			graph.nodes[idx].image = dataUrl;
+			recordChange("Change image", before);
+			if (selectedIndex === idx) {
+				panelImg.src = dataUrl;
+				panelImg.style.display = "block";
+			}
+			persist();
+		});
+	});
+
+	/**
+	 * @returns {GraphMask|null} Part of the graph the timeline shows, or null for everything.
+	 */
+	function currentYearMask() {
+		return timelineYear === null ? null : timelineMask(graph, timelineYear);
+	}
+
+	/**
+	 * @returns {GraphMask|null} Part of the graph the timeline and focus mode show, or null
+	 * for everything.
+	 */
+	function currentMask() {
+		var mask = currentYearMask();
+		if (circles.some(circle => circle.hidden)) {
+			var communities = graph.communities || [];
+			var keep = graph.nodes.map((node, i) => {
+				var c = communities[i];
+				return c === undefined || c < 0 || !circles[c].hidden;
+			});
+			mask = restrictMask(graph, mask, keep);
+		}
+		var focus = focusTrail.length > 0 ? focusTrail[focusTrail.length - 1] : -1;
+		if (focus < 0 || graph.isFree(focus)) return mask;
+		return restrictMask(graph, mask, graph.neighbourhood(focus, focusDepth, mask));
+	}
+
+	/**
+	 * Show a person and their friends only, or everyone again.
+	 * @param {number[]} trail New focus trail; empty to leave focus mode.
+	 * @returns {void}
+	 */
+	function setFocusTrail(trail) {
+		focusTrail = trail;
+		var mask = currentMask();
+		if (mask) {
+			if (selectedIndex >= 0 && !mask.nodes[selectedIndex]) clearSelection();
+			var e = selectedEdge ? graph.findEdge(selectedEdge[0], selectedEdge[1]) : -1;
+			if (e >= 0 && !mask.edges[e]) clearSelection();
+		}
+		syncFocusTrail();
+		if (trail.length > 0) fitToGraph();
+		wake();
+	}
+
+	/**
+	 * Rebuild the breadcrumb of focus mode, dropping people that were deleted.
+	 * @returns {void}
+	 */
+	function syncFocusTrail() {
+		focusTrail = focusTrail.filter(i => !graph.isFree(i));
+		focusBar.hidden = focusTrail.length === 0;
+		var key = focusTrail.map(i => i + ":" + graph.nodes[i].name).join("\n");
+		if (focusBar.dataset.key === key) return;
+		focusBar.dataset.key = key;
+		focusBar.textContent = "";
+
+		var everyone = document.createElement("button");
+		everyone.className = "link";
+		everyone.textContent = "Everyone";
+		everyone.addEventListener("click", function() { setFocusTrail([]); });
+		focusBar.appendChild(everyone);
+
+		focusTrail.forEach(function(idx, pos) {
+			focusBar.appendChild(document.createTextNode(" › "));
+			if (pos === focusTrail.length - 1) {
+				var current = document.createElement("span");
+				current.textContent = graph.nodes[idx].name;
+				focusBar.appendChild(current);
+				return;
+			}
+			var crumb = document.createElement("button");
+			crumb.className = "link";
+			crumb.textContent = graph.nodes[idx].name;
+			crumb.addEventListener("click", function() {
+				setFocusTrail(focusTrail.slice(0, pos + 1));
+			});
+			focusBar.appendChild(crumb);
 		});
+	}
+
+	/**
+	 * Show the graph as it was in a year, or all of it.
+	 * @param {number|null} year The year, or null for everything.
+	 * @returns {void}
+	 */
+	function setTimelineYear(year) {
+		timelineYear = year;
+		var mask = currentMask();
+		if (mask) {
+			if (selectedIndex >= 0 && !mask.nodes[selectedIndex]) clearSelection();
+			var e = selectedEdge ? graph.findEdge(selectedEdge[0], selectedEdge[1]) : -1;
+			if (e >= 0 && !mask.edges[e]) clearSelection();
+		}
+		syncTimeline();
+		wake();
+	}
+
+	/**
+	 * Refresh the slider range and label, e.g. after connections were added.
+	 * @returns {void}
+	 */
+	function syncTimeline() {
+		var range = timelineRange(graph);
+		timelineSlider.disabled = !range;
+		timelinePlay.disabled = !range;
+		if (!range) {
+			if (timelineYear !== null) setTimelineYear(null);
+			timelineLabel.textContent = "All years";
+			return;
+		}
+		if (timelineYear !== null && (timelineYear < range.min || timelineYear > range.max)) {
+			setTimelineYear(null);
+			return;
+		}
+		// One step past the last year stands for "everything".
+		var all = range.max + 1;
+		if (timelineSlider.min !== String(range.min)) timelineSlider.min = String(range.min);
+		if (timelineSlider.max !== String(all)) timelineSlider.max = String(all);
+		var value = String(timelineYear === null ? all : timelineYear);
+		if (timelineSlider.value !== value) timelineSlider.value = value;
+		var label = timelineYear === null ? "All years" : String(timelineYear);
+		if (timelineLabel.textContent !== label) timelineLabel.textContent = label;
+	}
+
+	/**
+	 * @returns {void}
+	 */
+	function stopTimeline() {
+		clearInterval(timelineTimer);
+		timelineTimer = 0;
+		timelinePlay.textContent = "Play";
+	}
+
+	timelineSlider.addEventListener("input", function() {
+		stopTimeline();
+		var y = parseInt(timelineSlider.value, 10);
+		setTimelineYear(y > parseInt(timelineSlider.max, 10) - 1 ? null : y);
+	});
+
+	timelinePlay.addEventListener("click", function() {
+		if (timelineTimer) {
+			stopTimeline();
+			return;
+		}
+		var range = timelineRange(graph);
+		if (!range) return;
+		if (timelineYear === null || timelineYear >= range.max) setTimelineYear(range.min);
+		timelinePlay.textContent = "Pause";
+		timelineTimer = setInterval(function() {
+			var r = timelineRange(graph);
+			if (!r || timelineYear === null || timelineYear >= r.max) {
+				stopTimeline();
+				setTimelineYear(null);
+				return;
+			}
+			setTimelineYear(timelineYear + 1);
+		}, 900);
+	});
+
+	fitBtn.addEventListener("click", fitToGraph);
+
+	searchInput.addEventListener("input", function() {
+		searchCursor = 0;
+	});
+
+	searchInput.addEventListener("keydown", function(ev) {
+		if (ev.key === "Escape") {
+			searchInput.value = "";
+			searchCursor = 0;
+		} else if (ev.key === "Enter") {
+			ev.preventDefault();
+			// Each Enter moves on to the next match.
+			var matches = searchNodes(graph, searchInput.value, currentMask());
+			if (matches.length === 0) return;
+			var idx = matches[searchCursor % matches.length];
+			searchCursor++;
+			selectNode(idx);
+			animateCenter(graph.nodes[idx].pos);
+		}
 	});
 
+	/**
+	 * Show the graph's layout settings in the settings panel.
+	 * @returns {void}
+	 */
+	function syncSettings() {
+		forceModelSelect.value = graph.forceModel;
+		freezeBox.checked = graph.frozen;
+		for (const spec of LAYOUT_SLIDERS) {
+			sliders[spec.key].input.value = String(sliderStep(spec, graph[spec.key]));
+			sliders[spec.key].output.value = formatSetting(graph[spec.key]);
+		}
+		presetSelect.value = matchingPreset(graph);
+	}
+
+	forceModelSelect.addEventListener("change", function() {
+		graph.forceModel = forceModelSelect.value;
+		presetSelect.value = matchingPreset(graph);
+		persist();
+		wake();
+	});
+
+	presetSelect.addEventListener("change", function() {
+		// "Custom" only reports that the settings match no preset.
+		if (!presetSelect.value) {
+			presetSelect.value = matchingPreset(graph);
+			return;
+		}
+		Object.assign(graph, presetSettings(presetSelect.value));
+		syncSettings();
+		persist();
+		wake();
+	});
+
+	/**
+	 * @param {boolean} pinned Pin every node if true, unpin them all if false.
+	 * @returns {void}
+	 */
+	function setAllPinned(pinned) {
+		var before = graph.snapshot();
+		simulation.setAllPinned(pinned);
+		recordChange(pinned ? "Pin all" : "Unpin all", before);
+		if (selectedIndex >= 0) panelPinned.checked = pinned;
+		persist();
+	}
+
+	pinAllBtn.addEventListener("click", function() { setAllPinned(true); });
+	unpinAllBtn.addEventListener("click", function() { setAllPinned(false); });
+
+	freezeBox.addEventListener("change", function() {
+		graph.frozen = freezeBox.checked;
+		persist();
+		wake();
+	});
+
+	slidersHost.addEventListener("input", function(ev) {
+		var input = /** @type {HTMLInputElement} */(ev.target);
+		var spec = LAYOUT_SLIDERS.find(s => s.key === input.dataset.key);
+		if (!spec) return;
+		graph[spec.key] = sliderValue(spec, Number(input.value));
+		sliders[spec.key].output.value = formatSetting(graph[spec.key]);
+		presetSelect.value = matchingPreset(graph);
+		schedulePersist();
+		wake();
+	});
+
+	undoBtn.addEventListener("click", undo);
+	redoBtn.addEventListener("click", redo);
+
+	document.addEventListener("keydown", function(ev) {
+		if (!(ev.ctrlKey || ev.metaKey) || ev.altKey) return;
+		// Text fields keep the browser's own undo for their contents.
+		if (isTextField(ev.target)) return;
+		var key = ev.key.toLowerCase();
+		if (key === "z" && !ev.shiftKey) {
+			ev.preventDefault();
+			undo();
+		} else if ((key === "z" && ev.shiftKey) || key === "y") {
+			ev.preventDefault();
+			redo();
+		}
+	});
+	syncUndoButtons();
+
 	applyZoom();
 	window.addEventListener("resize", function() { applyZoom(); });
 
+	/**
+	 * Draw the next frame, restarting the frame loop if the layout had settled.
+	 * @returns {void}
+	 */
+	function requestRender() {
+		if (running) return;
+		running = true;
+		last = performance.now();
+		requestAnimationFrame(frame);
+	}
+
+	/**
+	 * Reheat the simulation after a change, so the layout adapts to it.
+	 * @returns {void}
+	 */
+	function wake() {
+		graph.reheat();
+		requestRender();
+	}
+
+	// Selection, hover and other view-only changes need a redraw but no reheat. Listening in
+	// the capture phase catches them before any handler can stop propagation.
+	for (const type of ["pointerdown", "click", "input", "change", "keydown"]) {
+		document.addEventListener(type, requestRender, true);
+	}
+
+	/** @type {LayoutSimulation} Moves the nodes; layout changes go through it. */
+	var simulation = new LayoutSimulation(graph, requestRender);
+
+	/** @type {SvgRenderer|CanvasRenderer} */
+	var renderer = new SvgRenderer(svg);
+	/** @type {number} Graph revision the renderer was chosen for. */
+	var rendererRevision = -1;
+
+	/**
+	 * Draw on the canvas once the graph has too many people for one SVG element each, and go
+	 * back to SVG when it shrinks again.
+	 * @returns {void}
+	 */
+	function syncRenderer() {
+		if (rendererRevision === graph.revision) return;
+		rendererRevision = graph.revision;
+		var people = graph.nodes.filter(node => node !== null).length;
+		var useCanvas = people >= CANVAS_RENDERER_MIN_NODES;
+		if (useCanvas === renderer instanceof CanvasRenderer) return;
+		var focused = keyboardNodeIndex();
+		renderer.clear();
+		renderer = useCanvas ? new CanvasRenderer(canvas, svg, requestRender) : new SvgRenderer(svg);
+		canvas.hidden = !useCanvas;
+		canvasFocus = -1;
+		if (focused >= 0) focusNode(focused);
+	}
+
+	/**
+	 * @param {GraphMask|null} mask Shown part of the graph.
+	 * @returns {RenderView} What the renderer should show.
+	 */
+	function renderView(mask) {
+		/** @type {boolean[]|null} */
+		var matches = null;
+		if (searchInput.value.trim()) {
+			matches = [];
+			for (const i of searchNodes(graph, searchInput.value, mask)) matches[i] = true;
+		}
+		return {
+			selectedIndex: selectedIndex,
+			selectedEdge: selectedEdge ? edgeId(selectedEdge[0], selectedEdge[1]) : "",
+			mask: mask,
+			now: timelineYear === null ? new Date() : new Date(timelineYear, 11, 31),
+			matches: matches,
+			path: path,
+			circleColors: (graph.communities || []).map(c => c >= 0 ? circles[c].color : null),
+			focusIndex: document.activeElement === svg ? canvasFocus : -1
+		};
+	}
+
 	var last = performance.now();
+	/**
+	 * @param {number} now Frame timestamp.
+	 * @returns {void}
+	 */
 	function frame(now) {
 		var dt = (now - last) / 1000;
 		last = now;
 		if (dt > 0.05) dt = 0.05;
+		if (dt < 0) dt = 0;
 
-		if (draggingIndex >= 0 && !graph.isFree(draggingIndex)) {
-			graph.nodes[draggingIndex].pos = dragTarget;
-		}
-		graph.update(dt);
-		if (draggingIndex >= 0 && !graph.isFree(draggingIndex)) {
-			graph.nodes[draggingIndex].pos = dragTarget;
+		syncTimeline();
+		syncFocusTrail();
+		syncCircles();
+		syncNodeStats();
+		syncPath();
+		syncSummary();
+		// Only people joining on the timeline move; leaving focus mode puts everyone back where
+		// they were.
+		var yearMask = currentYearMask();
+		for (const i of placeJoiningNodes(graph, shownMask, yearMask)) simulation.place(i);
+		shownMask = yearMask;
+		var mask = currentMask();
+		syncListView(mask);
+
+		simulation.step(dt, mask, draggingIndex, dragTarget);
+		syncRenderer();
+		renderer.draw(graph, renderView(mask));
+
+		if (draggingIndex < 0 && graph.isSettled()) {
+			running = false;
+			return;
 		}
-		syncSvg(graph, svg, defs, edgesG, nodesG, selectedIndex, beginDrag);
 		requestAnimationFrame(frame);
 	}
-	requestAnimationFrame(frame);
+	wake();
+	if (loadProblem) alert(loadProblem);
+	if (location.hash.startsWith(SHARE_HASH_PREFIX)) openSharedGraph(location.hash);
 }
 
 main();
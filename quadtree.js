@@ -0,0 +1,148 @@
+import { vec2 } from "./vec2.js";
+
+/**
+ * Deepest level a cell is split to. Bodies that still share a cell there (e.g. nodes sitting on
+ * the same point) stay together in one leaf.
+ */
+var QUADTREE_MAX_DEPTH = 24;
+
+/**
+ * One square cell of a QuadTree.
+ */
+class QuadCell {
+	/**
+	 * @param {number} x Left edge.
+	 * @param {number} y Top edge.
+	 * @param {number} size Side length.
+	 * @param {number} depth Depth below the root.
+	 */
+	constructor(x, y, size, depth) {
+		/** @type {number} */
+		this.x = x;
+		/** @type {number} */
+		this.y = y;
+		/** @type {number} */
+		this.size = size;
+		/** @type {number} */
+		this.depth = depth;
+		/** @type {number} Total weight of the bodies inside (their number, if unweighted). */
+		this.mass = 0;
+		/** @type {{x:number,y:number}} Center of mass of the bodies inside. */
+		this.center = vec2(0, 0);
+		/** @type {QuadCell[]|null} Four children, or null for a leaf. */
+		this.children = null;
+		/** @type {number[]} Body ids held by a leaf. */
+		this.bodies = [];
+	}
+}
+
+/**
+ * A point-region quadtree that keeps the body count and center of mass of every cell, as
+ * needed for Barnes–Hut force approximation.
+ */
+export class QuadTree {
+	/**
+	 * Build a tree over a set of points.
+	 * @param {Array<{x:number,y:number}>} points Body positions; a body's id is its array index.
+	 * @param {number[]} ids Ids of the bodies to insert.
+	 * @param {number[]|null} [weights] Body weights by id. Every body weighs 1 if omitted.
+	 */
+	constructor(points, ids, weights) {
+		/** @type {Array<{x:number,y:number}>} */
+		this.points = points;
+		/** @type {number[]|null} */
+		this.weights = weights || null;
+
+		var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+		for (const id of ids) {
+			var p = points[id];
+			minX = Math.min(minX, p.x);
+			minY = Math.min(minY, p.y);
+			maxX = Math.max(maxX, p.x);
+			maxY = Math.max(maxY, p.y);
+		}
+		var size = Math.max(maxX - minX, maxY - minY, 1);
+
+		/** @type {QuadCell} */
+		this.root = new QuadCell(minX, minY, size, 0);
+		for (const id of ids) this.insert(this.root, id);
+		this.summarize(this.root);
+	}
+
+	/**
+	 * @param {number} id Body id.
+	 * @returns {number} The body's weight.
+	 */
+	weightOf(id) {
+		return this.weights === null ? 1 : this.weights[id];
+	}
+
+	/**
+	 * @param {QuadCell} cell Cell containing the point.
+	 * @param {number} id Body id.
+	 * @returns {void}
+	 */
+	insert(cell, id) {
+		cell.mass += this.weightOf(id);
+		if (cell.children === null) {
+			if (cell.bodies.length === 0 || cell.depth >= QUADTREE_MAX_DEPTH) {
+				cell.bodies.push(id);
+				return;
+			}
+			this.split(cell);
+		}
+		this.insert(this.childFor(cell, this.points[id]), id);
+	}
+
+	/**
+	 * Turn a leaf into an inner cell, moving its bodies down.
+	 * @param {QuadCell} cell Leaf cell.
+	 * @returns {void}
+	 */
+	split(cell) {
+		var half = cell.size / 2;
+		var d = cell.depth + 1;
+		cell.children = [
+			new QuadCell(cell.x, cell.y, half, d),
+			new QuadCell(cell.x + half, cell.y, half, d),
+			new QuadCell(cell.x, cell.y + half, half, d),
+			new QuadCell(cell.x + half, cell.y + half, half, d)
+		];
+		for (const id of cell.bodies) {
+			var child = this.childFor(cell, this.points[id]);
+			child.mass += this.weightOf(id);
+			child.bodies.push(id);
+		}
+		cell.bodies = [];
+	}
+
+	/**
+	 * @param {QuadCell} cell Inner cell.
+	 * @param {{x:number,y:number}} p Point inside the cell.
+	 * @returns {QuadCell} The child quadrant holding p.
+	 */
+	childFor(cell, p) {
+		var half = cell.size / 2;
+		var k = (p.x >= cell.x + half ? 1 : 0) + (p.y >= cell.y + half ? 2 : 0);
+		return cell.children[k];
+	}
+
+	/**
+	 * Fill in the centers of mass, bottom up.
+	 * @param {QuadCell} cell Cell to summarize.
+	 * @returns {void}
+	 */
+	summarize(cell) {
+		var sum = vec2(0, 0);
+		if (cell.children === null) {
+			for (const id of cell.bodies) sum = vec2.add(sum, vec2.mul(this.points[id], this.weightOf(id)));
+		} else {
+			for (const child of cell.children) {
+				if (child.mass === 0) continue;
+				this.summarize(child);
+				sum = vec2.add(sum, vec2.mul(child.center, child.mass));
+			}
+		}
+		if (cell.mass > 0) cell.center = vec2.div(sum, cell.mass);
+	}
+}
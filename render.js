@@ -0,0 +1,538 @@
+import { vec2 } from "./vec2.js";
+
+/** Graphs with at least this many people are drawn on a canvas instead of as SVG elements. */
+export var CANVAS_RENDERER_MIN_NODES = 300;
+
+/** Highlight color of the chain between two people, as in style.css. */
+var PATH_COLOR = "#2563eb";
+
+/** Outline color of nodes matching the search, as in style.css. */
+var MATCH_COLOR = "#f59e0b";
+
+/** Dash patterns of the relationship types, as in style.css. */
+var EDGE_DASHES = {
+	partner: [10, 4, 2, 4],
+	colleague: [8, 5],
+	classmate: [1, 5]
+};
+
+/** Avatar sprites are drawn at this many pixels per SVG unit, so they stay sharp when zoomed in. */
+var SPRITE_SCALE = 3;
+
+/**
+ * @param {Date} from Earlier date.
+ * @param {Date} to Later date.
+ * @returns {number} Years between the two dates.
+ */
+function yearsBetween(from, to) {
+	return (to.getTime() - from.getTime()) / (1000 * 60 * 60 * 24 * 365.25);
+}
+
+/**
+ * Edges go from green to red as the friendship ages. Ended friendships keep the hue they had
+ * when they ended and fade to gray over the following years.
+ * @param {Edge} edge The edge.
+ * @param {Date} now Current date.
+ * @returns {string} CSS color string for the edge.
+ */
+function edgeColor(edge, now) {
+	var until = edge.endedBy(now) ? edge.end : now;
+	var ageYears = yearsBetween(edge.start, until);
+	var hue = 120 - Math.min(10, Math.max(0, ageYears)) * 12;
+	if (until === now) return "hsl(" + hue + " 75% 45%)";
+	var saturation = 40 - Math.min(10, Math.max(0, yearsBetween(until, now))) * 3.5;
+	return "hsl(" + hue + " " + saturation + "% 55%)";
+}
+
+/**
+ * @param {string} tag SVG tag name.
+ * @returns {SVGElement} Created SVG element.
+ */
+function svgEl(tag) {
+	return document.createElementNS("http://www.w3.org/2000/svg", tag);
+}
+
+/**
+ * Set the href on an SVG <image> element in a cross-browser way.
+ * @param {SVGImageElement} img The SVG image element.
+ * @param {string} href Data URL or URL.
+ * @returns {void}
+ */
+function setSvgImageHref(img, href) {
+	img.setAttribute("href", href);
+	img.setAttributeNS("http://www.w3.org/1999/xlink", "xlink:href", href);
+}
+
+/**
+ * @param {number} a Node index.
+ * @param {number} b Node index.
+ * @returns {string} SVG edge id.
+ */
+export function edgeId(a, b) {
+	var x = a < b ? a : b;
+	var y = a < b ? b : a;
+	return "edge-" + x + ":" + y;
+}
+
+/**
+ * @param {number} n A count.
+ * @param {string} noun Singular noun.
+ * @returns {string} E.g. "1 friend" or "3 friends".
+ */
+export function countLabel(n, noun) {
+	return n + " " + noun + (n === 1 ? "" : "s");
+}
+
+/**
+ * @param {Graph} graph Data model.
+ * @param {number} i Node index.
+ * @returns {string} What assistive technology reads for a node, e.g. "Alex, 3 connections".
+ */
+export function nodeLabel(graph, i) {
+	return graph.nodes[i].name + ", " + countLabel(graph.degree(i), "connection");
+}
+
+/**
+ * Find the node drawn at a point. Both renderers draw later nodes on top, so they win.
+ * @param {Graph} graph Data model.
+ * @param {{x:number,y:number}} p Point in SVG coordinates.
+ * @param {GraphMask|null} mask Shown part of the graph; hidden nodes are skipped.
+ * @returns {number} Node index, or -1 if the point is not on a node.
+ */
+export function nodeAt(graph, p, mask) {
+	for (var i = graph.nodes.length - 1; i >= 0; i--) {
+		if (graph.isFree(i) || (mask && !mask.nodes[i])) continue;
+		if (vec2.len(vec2.sub(p, graph.nodes[i].pos)) <= graph.nodeRadius) return i;
+	}
+	return -1;
+}
+
+/**
+ * What a renderer should show besides the graph itself.
+ * @typedef {Object} RenderView
+ * @property {number} selectedIndex Selected node index, or -1.
+ * @property {string} selectedEdge Id of the selected edge element, or "" if none.
+ * @property {GraphMask|null} mask Shown part of the graph, or null for everything.
+ * @property {Date} now Date edge colors are computed for.
+ * @property {boolean[]|null} matches Nodes matching the search by index, or null when not
+ * searching. Everything else is dimmed.
+ * @property {number[]|null} path Chain of node indices to highlight, or null.
+ * @property {Array<string|null>|null} circleColors Outline color of each node's friend circle
+ * by index, or null for none.
+ * @property {number} focusIndex Node the keyboard is on, drawn with a focus ring, or -1. Only
+ * the canvas needs it: SVG nodes take real keyboard focus.
+ */
+
+/**
+ * Draws the graph as one SVG element per node and edge, styled by style.css. Nodes are
+ * focusable elements with their own accessible names.
+ */
+export class SvgRenderer {
+	/**
+	 * @param {SVGSVGElement} svg The graph SVG, with #defs, #edges and #nodes groups.
+	 */
+	constructor(svg) {
+		/** @type {SVGDefsElement} Clip paths of the avatars. */
+		this.defs = /** @type {SVGDefsElement} */(svg.querySelector("#defs"));
+		/** @type {SVGGElement} */
+		this.edgesG = /** @type {SVGGElement} */(svg.querySelector("#edges"));
+		/** @type {SVGGElement} */
+		this.nodesG = /** @type {SVGGElement} */(svg.querySelector("#nodes"));
+	}
+
+	/**
+	 * Create missing SVG elements for nodes/edges and update existing ones.
+	 * @param {Graph} graph Data model.
+	 * @param {RenderView} view Selection and filtering.
+	 * @returns {void}
+	 */
+	draw(graph, view) {
+		var now = view.now;
+		var mask = view.mask;
+		var pathNodes = new Set(view.path || []);
+		var pathEdges = new Set();
+		if (view.path) {
+			for (var p = 1; p < view.path.length; p++) pathEdges.add(edgeId(view.path[p - 1], view.path[p]));
+		}
+
+		for (var e = 0; e < graph.edges.length; e++) {
+			var edge = graph.edges[e];
+			var id = edgeId(edge.a, edge.b);
+			/** @type {SVGLineElement} */
+			var line = /** @type {SVGLineElement} */(document.getElementById(id));
+			if (!line) {
+				line = /** @type {SVGLineElement} */(svgEl("line"));
+				line.id = id;
+				this.edgesG.appendChild(line);
+			}
+			var a = graph.nodes[edge.a].pos;
+			var b = graph.nodes[edge.b].pos;
+			line.setAttribute("x1", a.x);
+			line.setAttribute("y1", a.y);
+			line.setAttribute("x2", b.x);
+			line.setAttribute("y2", b.y);
+			line.setAttribute("stroke", edgeColor(edge, now));
+			// Each relationship type has its own stroke style in style.css.
+			var cls = "edge type-" + edge.type;
+			if (edge.endedBy(now)) cls += " ended";
+			if (id === view.selectedEdge) cls += " selected";
+			if (view.matches && !view.matches[edge.a] && !view.matches[edge.b]) cls += " dimmed";
+			if (pathEdges.has(id)) cls += " on-path";
+			line.setAttribute("class", cls);
+			line.style.display = mask && !mask.edges[e] ? "none" : "";
+		}
+
+		for (var i = 0; i < graph.nodes.length; i++) {
+			if (graph.isFree(i)) continue;
+			var nid = "node" + i;
+			/** @type {SVGGElement} */
+			var g = /** @type {SVGGElement} */(document.getElementById(nid));
+			if (!g) {
+				g = /** @type {SVGGElement} */(svgEl("g"));
+				g.id = nid;
+				g.classList.add("node");
+				g.setAttribute("data-idx", String(i));
+				g.setAttribute("tabindex", "0");
+				g.setAttribute("role", "button");
+
+				var clipId = "clip" + i;
+				var clip = /** @type {SVGClipPathElement} */(document.getElementById(clipId));
+				if (!clip) {
+					clip = /** @type {SVGClipPathElement} */(svgEl("clipPath"));
+					clip.id = clipId;
+					var cc = svgEl("circle");
+					cc.setAttribute("r", String(graph.nodeRadius));
+					cc.setAttribute("cx", "0");
+					cc.setAttribute("cy", "0");
+					clip.appendChild(cc);
+					this.defs.appendChild(clip);
+				}
+
+				var img = /** @type {SVGImageElement} */(svgEl("image"));
+				img.setAttribute("x", String(-graph.nodeRadius));
+				img.setAttribute("y", String(-graph.nodeRadius));
+				img.setAttribute("width", String(2 * graph.nodeRadius));
+				img.setAttribute("height", String(2 * graph.nodeRadius));
+				img.setAttribute("preserveAspectRatio", "xMidYMid slice");
+				img.setAttribute("clip-path", "url(#" + clipId + ")");
+
+				var bg = svgEl("circle");
+				bg.classList.add("bg");
+				bg.setAttribute("r", String(graph.nodeRadius));
+				bg.setAttribute("cx", "0");
+				bg.setAttribute("cy", "0");
+
+				var outline = svgEl("circle");
+				outline.classList.add("outline");
+				outline.setAttribute("r", String(graph.nodeRadius));
+				outline.setAttribute("cx", "0");
+				outline.setAttribute("cy", "0");
+
+				// Pin marker on the upper right of the circle, shown for pinned nodes.
+				var pin = svgEl("circle");
+				pin.classList.add("pin");
+				pin.setAttribute("r", "5");
+				pin.setAttribute("cx", String(graph.nodeRadius * Math.SQRT1_2));
+				pin.setAttribute("cy", String(-graph.nodeRadius * Math.SQRT1_2));
+
+				var t = svgEl("text");
+				t.setAttribute("x", "0");
+				t.setAttribute("y", String(graph.labelOffset));
+				t.setAttribute("text-anchor", "middle");
+				t.textContent = graph.nodes[i].name;
+
+				g.appendChild(bg);
+				g.appendChild(img);
+				g.appendChild(outline);
+				g.appendChild(pin);
+				g.appendChild(t);
+				this.nodesG.appendChild(g);
+			}
+
+			g.setAttribute("data-idx", String(i));
+			g.setAttribute("aria-label", nodeLabel(graph, i));
+			g.setAttribute("aria-pressed", String(i === view.selectedIndex));
+			if (i === view.selectedIndex) g.classList.add("selected");
+			else g.classList.remove("selected");
+			if (graph.nodes[i].pinned) g.classList.add("pinned");
+			else g.classList.remove("pinned");
+			var match = view.matches ? view.matches[i] === true : false;
+			if (match) g.classList.add("match");
+			else g.classList.remove("match");
+			if (view.matches && !match) g.classList.add("dimmed");
+			else g.classList.remove("dimmed");
+			if (pathNodes.has(i)) g.classList.add("on-path");
+			else g.classList.remove("on-path");
+			var circleColor = view.circleColors ? view.circleColors[i] : null;
+			if (circleColor) {
+				g.classList.add("in-circle");
+				g.style.setProperty("--circle", circleColor);
+			} else {
+				g.classList.remove("in-circle");
+				g.style.removeProperty("--circle");
+			}
+			g.style.display = mask && !mask.nodes[i] ? "none" : "";
+
+			var p = graph.nodes[i].pos;
+			g.setAttribute("transform", "translate(" + p.x + "," + p.y + ")");
+			var label = /** @type {SVGTextElement} */(g.querySelector("text"));
+			label.textContent = graph.nodes[i].name;
+
+			var nodeImg = /** @type {SVGImageElement} */(g.querySelector("image"));
+			if (graph.nodes[i].image) {
+				setSvgImageHref(nodeImg, graph.nodes[i].image);
+				nodeImg.style.display = "block";
+			} else {
+				nodeImg.removeAttribute("href");
+				nodeImg.removeAttributeNS("http://www.w3.org/1999/xlink", "href");
+				nodeImg.style.display = "none";
+			}
+		}
+	}
+
+	/**
+	 * Remove node, clip path and edge elements whose node or edge no longer exists in the graph,
+	 * e.g. after undo or redo.
+	 * @param {Graph} graph Data model.
+	 * @returns {void}
+	 */
+	prune(graph) {
+		var liveEdges = new Set(graph.edges.map(e => edgeId(e.a, e.b)));
+		for (const line of Array.from(this.edgesG.children)) {
+			if (!liveEdges.has(line.id)) line.remove();
+		}
+		for (const g of Array.from(this.nodesG.children)) {
+			var idx = parseInt(g.getAttribute("data-idx"), 10);
+			if (idx < graph.nodes.length && !graph.isFree(idx)) continue;
+			g.remove();
+			var clip = this.defs.querySelector("#clip" + idx);
+			if (clip) clip.remove();
+		}
+	}
+
+	/**
+	 * Remove every node, edge and clip path element, e.g. before showing another graph.
+	 * @returns {void}
+	 */
+	clear() {
+		this.defs.innerHTML = "";
+		this.edgesG.innerHTML = "";
+		this.nodesG.innerHTML = "";
+	}
+}
+
+/**
+ * Draws the graph on a canvas under the SVG, for graphs too large for one element per node
+ * and edge. Edges sharing a style are stroked as one path, and avatars are drawn from cached
+ * circular sprites. The SVG stays on top, empty, for its viewBox and pointer events.
+ */
+export class CanvasRenderer {
+	/**
+	 * @param {HTMLCanvasElement} canvas Canvas covering the SVG.
+	 * @param {SVGSVGElement} svg The graph SVG; its viewBox is the part of the graph drawn.
+	 * @param {function(): void} onSpriteReady Called when an avatar has loaded, to redraw.
+	 */
+	constructor(canvas, svg, onSpriteReady) {
+		/** @type {HTMLCanvasElement} */
+		this.canvas = canvas;
+		/** @type {SVGSVGElement} */
+		this.svg = svg;
+		/** @type {CanvasRenderingContext2D} */
+		this.ctx = canvas.getContext("2d");
+		/** @type {function(): void} */
+		this.onSpriteReady = onSpriteReady;
+		/** @type {Map<string, HTMLCanvasElement|null>} Avatar sprites by image URL; null while loading. */
+		this.sprites = new Map();
+	}
+
+	/**
+	 * @param {string} url Avatar image URL.
+	 * @param {number} radius Node radius in SVG units.
+	 * @returns {HTMLCanvasElement|null} The avatar clipped to a circle, or null until it has loaded.
+	 */
+	sprite(url, radius) {
+		if (this.sprites.has(url)) return this.sprites.get(url);
+		this.sprites.set(url, null);
+		var img = new Image();
+		img.onload = () => {
+			if (!this.sprites.has(url)) return;
+			var size = Math.ceil(2 * radius * SPRITE_SCALE);
+			var sprite = document.createElement("canvas");
+			sprite.width = size;
+			sprite.height = size;
+			var ctx = sprite.getContext("2d");
+			ctx.beginPath();
+			ctx.arc(size / 2, size / 2, size / 2, 0, 2 * Math.PI);
+			ctx.clip();
+			// Cover the circle, like preserveAspectRatio="xMidYMid slice" on the SVG image.
+			var scale = size / Math.min(img.naturalWidth, img.naturalHeight);
+			var w = img.naturalWidth * scale;
+			var h = img.naturalHeight * scale;
+			ctx.drawImage(img, (size - w) / 2, (size - h) / 2, w, h);
+			this.sprites.set(url, sprite);
+			this.onSpriteReady();
+		};
+		img.src = url;
+		return null;
+	}
+
+	/**
+	 * Draw the whole graph. Styles follow style.css.
+	 * @param {Graph} graph Data model.
+	 * @param {RenderView} view Selection and filtering.
+	 * @returns {void}
+	 */
+	draw(graph, view) {
+		var canvas = this.canvas;
+		var ctx = this.ctx;
+		var ratio = window.devicePixelRatio || 1;
+		var width = Math.round(canvas.clientWidth * ratio);
+		var height = Math.round(canvas.clientHeight * ratio);
+		if (canvas.width !== width || canvas.height !== height) {
+			canvas.width = width;
+			canvas.height = height;
+		}
+		ctx.setTransform(1, 0, 0, 1, 0, 0);
+		ctx.clearRect(0, 0, width, height);
+		var box = (this.svg.getAttribute("viewBox") || "").split(" ").map(Number);
+		if (box.length !== 4 || !(box[2] > 0)) return;
+		var scale = width / box[2];
+		ctx.setTransform(scale, 0, 0, scale, -box[0] * scale, -box[1] * scale);
+
+		var style = getComputedStyle(this.svg);
+		var fg = style.getPropertyValue("--fg").trim();
+		var nodeStroke = style.getPropertyValue("--nodeStroke").trim();
+		var nodeFill = style.getPropertyValue("--panelBg").trim();
+		var pageBg = style.getPropertyValue("--bg").trim();
+
+		var now = view.now;
+		var mask = view.mask;
+		var pathNodes = new Set(view.path || []);
+		var pathEdges = new Set();
+		if (view.path) {
+			for (var p = 1; p < view.path.length; p++) pathEdges.add(edgeId(view.path[p - 1], view.path[p]));
+		}
+
+		/** @type {Map<string, {color:string, width:number, type:string, alpha:number, edges:Edge[]}>} */
+		var batches = new Map();
+		for (var e = 0; e < graph.edges.length; e++) {
+			if (mask && !mask.edges[e]) continue;
+			var edge = graph.edges[e];
+			var id = edgeId(edge.a, edge.b);
+			var onPath = pathEdges.has(id);
+			var lineWidth = id === view.selectedEdge ? 5 : edge.type === "family" ? 4 : onPath ? 6 : 2.5;
+			var color = onPath ? PATH_COLOR : edgeColor(edge, now);
+			var alpha = edge.endedBy(now) ? 0.6 : 1;
+			if (view.matches && !view.matches[edge.a] && !view.matches[edge.b]) alpha *= 0.2;
+			var key = color + "|" + lineWidth + "|" + edge.type + "|" + alpha;
+			if (!batches.has(key)) {
+				batches.set(key, { color: color, width: lineWidth, type: edge.type, alpha: alpha, edges: [] });
+			}
+			batches.get(key).edges.push(edge);
+		}
+		for (const batch of batches.values()) {
+			ctx.beginPath();
+			for (const edge of batch.edges) {
+				var a = graph.nodes[edge.a].pos;
+				var b = graph.nodes[edge.b].pos;
+				ctx.moveTo(a.x, a.y);
+				ctx.lineTo(b.x, b.y);
+			}
+			ctx.strokeStyle = batch.color;
+			ctx.lineWidth = batch.width;
+			ctx.globalAlpha = batch.alpha;
+			ctx.setLineDash(EDGE_DASHES[batch.type] || []);
+			ctx.lineCap = batch.type === "classmate" ? "round" : "butt";
+			ctx.stroke();
+		}
+		ctx.setLineDash([]);
+		ctx.lineCap = "butt";
+
+		var r = graph.nodeRadius;
+		// Labels smaller than this on screen are unreadable, so they are left out.
+		var showLabels = 12 * scale / ratio >= 6;
+		ctx.font = "12px " + style.fontFamily;
+		ctx.textAlign = "center";
+		ctx.textBaseline = "alphabetic";
+		for (var i = 0; i < graph.nodes.length; i++) {
+			if (graph.isFree(i) || (mask && !mask.nodes[i])) continue;
+			var node = graph.nodes[i];
+			var x = node.pos.x;
+			var y = node.pos.y;
+			var match = view.matches ? view.matches[i] === true : false;
+			ctx.globalAlpha = view.matches && !match ? 0.2 : 1;
+
+			ctx.beginPath();
+			ctx.arc(x, y, r, 0, 2 * Math.PI);
+			ctx.fillStyle = nodeFill;
+			ctx.fill();
+			if (i === view.focusIndex) {
+				ctx.strokeStyle = PATH_COLOR;
+				ctx.lineWidth = 8;
+				ctx.stroke();
+			}
+			var sprite = node.image ? this.sprite(node.image, r) : null;
+			if (sprite) ctx.drawImage(sprite, x - r, y - r, 2 * r, 2 * r);
+
+			// Later rules win, as in the stylesheet's .selected, .in-circle, .match and .on-path.
+			var outline = nodeStroke;
+			var outlineWidth = i === view.selectedIndex ? 3 : 1.5;
+			var circleColor = view.circleColors ? view.circleColors[i] : null;
+			if (circleColor) {
+				outline = circleColor;
+				outlineWidth = 3;
+			}
+			if (match) {
+				outline = MATCH_COLOR;
+				outlineWidth = 4;
+			}
+			if (pathNodes.has(i)) {
+				outline = PATH_COLOR;
+				outlineWidth = 4;
+			}
+			ctx.beginPath();
+			ctx.arc(x, y, r, 0, 2 * Math.PI);
+			ctx.strokeStyle = outline;
+			ctx.lineWidth = outlineWidth;
+			ctx.stroke();
+
+			if (node.pinned) {
+				ctx.beginPath();
+				ctx.arc(x + r * Math.SQRT1_2, y - r * Math.SQRT1_2, 5, 0, 2 * Math.PI);
+				ctx.fillStyle = nodeStroke;
+				ctx.fill();
+				ctx.strokeStyle = pageBg;
+				ctx.lineWidth = 2;
+				ctx.stroke();
+			}
+
+			if (showLabels) {
+				ctx.fillStyle = fg;
+				ctx.fillText(node.name, x, y + graph.labelOffset);
+			}
+		}
+		ctx.globalAlpha = 1;
+	}
+
+	/**
+	 * Forget the avatars no node uses anymore, e.g. after undo or redo.
+	 * @param {Graph} graph Data model.
+	 * @returns {void}
+	 */
+	prune(graph) {
+		var used = new Set(graph.nodes.map(node => node === null ? null : node.image));
+		for (const url of Array.from(this.sprites.keys())) {
+			if (!used.has(url)) this.sprites.delete(url);
+		}
+	}
+
+	/**
+	 * Blank the canvas and forget every avatar, e.g. before showing another graph.
+	 * @returns {void}
+	 */
+	clear() {
+		this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+		this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+		this.sprites.clear();
+	}
+}
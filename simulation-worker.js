@@ -0,0 +1,65 @@
+import { Graph } from "./graph.js";
+import { loadStructure, stepLayout } from "./simulation.js";
+
+/**
+ * Worker side of LayoutSimulation: keeps its own copy of the graph, replays the changes made
+ * on the page and answers every step with the new positions.
+ */
+
+var graph = new Graph();
+
+/**
+ * @param {Object} message Step request from LayoutSimulation.step.
+ * @returns {void}
+ */
+function step(message) {
+	graph.reheat(message.alpha);
+	stepLayout(graph, message.dt, message.mask, message.dragIndex, message.dragPos);
+
+	var n = graph.nodes.length;
+	/** @type {Float32Array} */
+	var buffer = message.buffer && message.buffer.length === 2 * n ? message.buffer : new Float32Array(2 * n);
+	for (var i = 0; i < n; i++) {
+		var node = graph.nodes[i];
+		buffer[2 * i] = node === null ? NaN : node.pos.x;
+		buffer[2 * i + 1] = node === null ? NaN : node.pos.y;
+	}
+	self.postMessage({
+		epoch: message.epoch,
+		buffer: buffer,
+		alpha: graph.alpha,
+		energy: graph.energy
+	}, [buffer.buffer]);
+}
+
+self.addEventListener("message", function(ev) {
+	var message = ev.data;
+	switch (message.type) {
+	case "load":
+		loadStructure(graph, message.structure);
+		break;
+	case "settings":
+		Object.assign(graph, message.settings);
+		graph.communities = message.communities;
+		break;
+	case "addFriendGroup":
+		graph.addFriendGroup(message.names, message.date, message.kind);
+		break;
+	case "deleteNode":
+		graph.deleteNode(message.index);
+		break;
+	case "renameNode":
+		graph.renameNode(message.index, message.name);
+		break;
+	case "pin":
+		if (message.index < 0) graph.setAllPinned(message.pinned);
+		else graph.nodes[message.index].pinned = message.pinned;
+		break;
+	case "place":
+		graph.nodes[message.index].pos = message.pos;
+		break;
+	case "step":
+		step(message);
+		break;
+	}
+});
@@ -0,0 +1,364 @@
+import { vec2 } from "./vec2.js";
+import { Node, Edge } from "./graph.js";
+
+/**
+ * Graphs with at least this many people are laid out in a worker; below it a frame's update is
+ * cheaper than the messages.
+ */
+export var WORKER_SIMULATION_MIN_NODES = 150;
+
+/** Graph fields the force simulation reads, copied to the worker when they change. */
+var SIMULATION_SETTINGS = [
+	"forceModel", "repelK", "attractK", "centerK", "restLength", "communityK", "maxRepulsion",
+	"theta", "exactRepulsionMax", "coolingRate", "alphaMin", "friction", "restEnergy", "frozen"
+];
+
+/**
+ * Structure of a graph as sent to the worker. Avatars are left out: the layout doesn't need them.
+ * @typedef {Object} GraphStructure
+ * @property {Array<{name:string, pos:{x:number,y:number}, vel:{x:number,y:number}, pinned:boolean}|null>} nodes
+ * @property {Array<{a:number, b:number, start:Date, end:Date|null, type:string}>} edges
+ */
+
+/**
+ * @param {Graph} graph Data model.
+ * @returns {GraphStructure} What the worker needs to lay the graph out.
+ */
+export function graphStructure(graph) {
+	return {
+		nodes: graph.nodes.map(n => n === null ? null : { name: n.name, pos: n.pos, vel: n.vel, pinned: n.pinned }),
+		edges: graph.edges.map(e => ({ a: e.a, b: e.b, start: e.start, end: e.end, type: e.type }))
+	};
+}
+
+/**
+ * Replace a graph's nodes and edges with a structure from graphStructure().
+ * @param {Graph} graph Graph to fill.
+ * @param {GraphStructure} structure Nodes and edges.
+ * @returns {void}
+ */
+export function loadStructure(graph, structure) {
+	graph.nodes = structure.nodes.map(saved => {
+		if (saved === null) return null;
+		var node = new Node(saved.name);
+		node.pos = vec2(saved.pos);
+		node.vel = vec2(saved.vel);
+		node.pinned = saved.pinned;
+		return node;
+	});
+	graph.edges = structure.edges.map(saved => {
+		var edge = new Edge(saved.a, saved.b, saved.start);
+		edge.end = saved.end;
+		edge.type = saved.type;
+		return edge;
+	});
+	graph.structureChanged();
+}
+
+/**
+ * @param {Graph} graph Data model.
+ * @returns {Object} The graph's layout settings, by field name.
+ */
+export function simulationSettings(graph) {
+	/** @type {Object} */
+	var settings = {};
+	for (const key of SIMULATION_SETTINGS) settings[key] = graph[key];
+	return settings;
+}
+
+/**
+ * Advance the layout by one frame while a node may be held under the pointer.
+ * @param {Graph} graph Data model.
+ * @param {number} dt Timestep in seconds.
+ * @param {GraphMask|null} mask Shown part of the graph.
+ * @param {number} dragIndex Index of the dragged node, or -1.
+ * @param {{x:number,y:number}} dragPos Where the dragged node is held.
+ * @returns {void}
+ */
+export function stepLayout(graph, dt, mask, dragIndex, dragPos) {
+	var dragging = dragIndex >= 0 && !graph.isFree(dragIndex);
+	if (dragging) {
+		graph.nodes[dragIndex].pos = dragPos;
+		// Keep the neighbours following the dragged node without shaking the whole graph.
+		graph.reheat(0.3);
+	}
+	graph.update(dt, mask);
+	if (dragging) {
+		graph.nodes[dragIndex].pos = dragPos;
+		graph.nodes[dragIndex].vel = vec2(0, 0);
+	}
+}
+
+/**
+ * Runs the force layout of a graph: in place for small graphs, and in a worker for large ones,
+ * so typing stays smooth while they move. The worker owns the positions and sends them back
+ * after every step; the changes that matter to the layout have to go through this object, so
+ * the worker can replay them.
+ */
+export class LayoutSimulation {
+	/**
+	 * @param {Graph} graph Data model.
+	 * @param {function(): void} onUpdate Called when new positions have arrived, to redraw.
+	 */
+	constructor(graph, onUpdate) {
+		/** @type {Graph} */
+		this.graph = graph;
+		/** @type {function(): void} */
+		this.onUpdate = onUpdate;
+		/** @type {Worker|null} */
+		this.worker = null;
+		/** @type {boolean} True once the worker failed to start or crashed; layout stays in place. */
+		this.failed = false;
+		/** @type {number} Graph revision the worker's copy matches; -1 if it needs the whole graph. */
+		this.revision = -1;
+		/** @type {number} Graph revision the mode (worker or not) was chosen for. */
+		this.modeRevision = -1;
+		/** @type {string} Layout settings last sent to the worker. */
+		this.settingsKey = "";
+		/** @type {number[]|null} Communities last sent to the worker. */
+		this.communities = null;
+		/**
+		 * Counts the changes sent to the worker. Positions computed before the latest one are
+		 * dropped, so they can't undo it.
+		 * @type {number}
+		 */
+		this.epoch = 0;
+		/** @type {boolean} True while the worker is computing a step. */
+		this.pending = false;
+		/** @type {number} Time the worker has yet to simulate, in seconds. */
+		this.backlog = 0;
+		/** @type {number} Temperature sent with the pending step. */
+		this.sentAlpha = 0;
+		/** @type {Float32Array|null} Position buffer handed back and forth with the worker. */
+		this.buffer = null;
+	}
+
+	/**
+	 * Lay out another graph, e.g. after opening a file.
+	 * @param {Graph} graph Data model.
+	 * @returns {void}
+	 */
+	attach(graph) {
+		this.graph = graph;
+		this.revision = -1;
+		this.modeRevision = -1;
+		this.epoch++;
+	}
+
+	/**
+	 * Start or stop the worker when the graph crosses WORKER_SIMULATION_MIN_NODES.
+	 * @returns {void}
+	 */
+	syncMode() {
+		if (this.modeRevision === this.graph.revision) return;
+		this.modeRevision = this.graph.revision;
+		var people = this.graph.nodes.filter(node => node !== null).length;
+		var useWorker = people >= WORKER_SIMULATION_MIN_NODES && !this.failed && typeof Worker !== "undefined";
+		if (useWorker === (this.worker !== null)) return;
+		if (!useWorker) {
+			this.stopWorker();
+			return;
+		}
+		try {
+			this.worker = new Worker(new URL("./simulation-worker.js", import.meta.url), { type: "module" });
+		} catch (err) {
+			// E.g. module workers are not allowed for pages opened from disk.
+			this.failed = true;
+			return;
+		}
+		this.worker.addEventListener("message", ev => this.receive(ev.data));
+		this.worker.addEventListener("error", () => {
+			this.failed = true;
+			this.stopWorker();
+			this.onUpdate();
+		});
+		this.revision = -1;
+	}
+
+	/**
+	 * @returns {void}
+	 */
+	stopWorker() {
+		if (this.worker) this.worker.terminate();
+		this.worker = null;
+		this.pending = false;
+		this.buffer = null;
+		this.revision = -1;
+	}
+
+	/**
+	 * Send the worker whatever changed since its last step: the whole graph if it is out of
+	 * step, and the layout settings.
+	 * @returns {void}
+	 */
+	syncWorker() {
+		var graph = this.graph;
+		if (this.revision !== graph.revision) {
+			this.post({ type: "load", structure: graphStructure(graph) });
+			this.revision = graph.revision;
+			this.settingsKey = "";
+		}
+		var settings = simulationSettings(graph);
+		var key = JSON.stringify(settings);
+		if (key !== this.settingsKey || this.communities !== graph.communities) {
+			this.worker.postMessage({ type: "settings", settings: settings, communities: graph.communities });
+			this.settingsKey = key;
+			this.communities = graph.communities;
+		}
+	}
+
+	/**
+	 * @param {Object} message Change for the worker to replay.
+	 * @returns {void}
+	 */
+	post(message) {
+		this.epoch++;
+		this.worker.postMessage(message);
+	}
+
+	/**
+	 * Forward a change already made to the graph, if the worker was up to date before it.
+	 * Otherwise the worker gets the whole graph on the next step.
+	 * @param {Object} message The change.
+	 * @param {number} revision Graph revision before the change.
+	 * @returns {void}
+	 */
+	forward(message, revision) {
+		if (this.worker === null || this.revision !== revision) return;
+		this.post(message);
+		this.revision = this.graph.revision;
+	}
+
+	/**
+	 * Graph.addFriendGroup, replayed by the worker.
+	 * @param {string[]} names Friend names (non-empty).
+	 * @param {Date} date Date the connection started.
+	 * @param {string} [type] Relationship type for the group's edges.
+	 * @returns {void}
+	 */
+	addFriendGroup(names, date, type) {
+		var revision = this.graph.revision;
+		this.graph.addFriendGroup(names, date, type);
+		this.forward({ type: "addFriendGroup", names: names, date: date, kind: type }, revision);
+	}
+
+	/**
+	 * Graph.deleteNode, replayed by the worker.
+	 * @param {number} i Node index.
+	 * @returns {Array<[number, number]>} Removed edge endpoint pairs.
+	 */
+	deleteNode(i) {
+		var revision = this.graph.revision;
+		var removed = this.graph.deleteNode(i);
+		this.forward({ type: "deleteNode", index: i }, revision);
+		return removed;
+	}
+
+	/**
+	 * Graph.renameNode, replayed by the worker so later groups find the person by the new name.
+	 * @param {number} i Node index.
+	 * @param {string} newName New name.
+	 * @returns {boolean} False if the name is taken and the node kept its old one.
+	 */
+	renameNode(i, newName) {
+		var renamed = this.graph.renameNode(i, newName);
+		if (renamed) this.forward({ type: "renameNode", index: i, name: newName }, this.graph.revision);
+		return renamed;
+	}
+
+	/**
+	 * Pin or unpin one node.
+	 * @param {number} i Node index.
+	 * @param {boolean} pinned New state.
+	 * @returns {void}
+	 */
+	setPinned(i, pinned) {
+		this.graph.nodes[i].pinned = pinned;
+		this.forward({ type: "pin", index: i, pinned: pinned }, this.graph.revision);
+	}
+
+	/**
+	 * Graph.setAllPinned, replayed by the worker.
+	 * @param {boolean} pinned New state.
+	 * @returns {void}
+	 */
+	setAllPinned(pinned) {
+		this.graph.setAllPinned(pinned);
+		this.forward({ type: "pin", index: -1, pinned: pinned }, this.graph.revision);
+	}
+
+	/**
+	 * Tell the worker a node was moved by hand to where it is now.
+	 * @param {number} i Node index.
+	 * @returns {void}
+	 */
+	place(i) {
+		this.forward({ type: "place", index: i, pos: this.graph.nodes[i].pos }, this.graph.revision);
+	}
+
+	/**
+	 * Advance the layout by one frame. In a worker, this sends the next step unless one is still
+	 * being computed, and the positions show up a little later.
+	 * @param {number} dt Timestep in seconds.
+	 * @param {GraphMask|null} mask Shown part of the graph.
+	 * @param {number} dragIndex Index of the dragged node, or -1.
+	 * @param {{x:number,y:number}} dragPos Where the dragged node is held.
+	 * @returns {void}
+	 */
+	step(dt, mask, dragIndex, dragPos) {
+		this.syncMode();
+		var graph = this.graph;
+		if (this.worker === null) {
+			stepLayout(graph, dt, mask, dragIndex, dragPos);
+			return;
+		}
+		var dragging = dragIndex >= 0 && !graph.isFree(dragIndex);
+		if (dragging) {
+			graph.nodes[dragIndex].pos = dragPos;
+			graph.reheat(0.3);
+		}
+		this.backlog = Math.min(this.backlog + dt, 0.05);
+		// The frame loop stops once the layout has settled; so do the steps.
+		if (this.pending || (!dragging && graph.isSettled())) return;
+		this.syncWorker();
+		var buffer = this.buffer;
+		this.buffer = null;
+		this.pending = true;
+		this.sentAlpha = graph.alpha;
+		this.worker.postMessage({
+			type: "step",
+			epoch: this.epoch,
+			dt: this.backlog,
+			mask: mask,
+			alpha: graph.alpha,
+			dragIndex: dragging ? dragIndex : -1,
+			dragPos: dragPos,
+			buffer: buffer
+		}, buffer ? [buffer.buffer] : []);
+		this.backlog = 0;
+	}
+
+	/**
+	 * Take in the positions of a finished step.
+	 * @param {{epoch:number, buffer:Float32Array, alpha:number, energy:number}} message From the worker.
+	 * @returns {void}
+	 */
+	receive(message) {
+		var graph = this.graph;
+		this.pending = false;
+		this.buffer = message.buffer;
+		// Undo, merges and deleted connections change the graph without telling the worker, so
+		// its positions are only taken while its copy still matches.
+		if (message.epoch === this.epoch && this.revision === graph.revision) {
+			var count = Math.min(graph.nodes.length, message.buffer.length / 2);
+			for (var i = 0; i < count; i++) {
+				if (graph.nodes[i] === null) continue;
+				graph.nodes[i].pos = vec2(message.buffer[2 * i], message.buffer[2 * i + 1]);
+			}
+		}
+		// A reheat while the step was computed wins over the cooler temperature it reports.
+		if (graph.alpha <= this.sentAlpha) graph.alpha = message.alpha;
+		graph.energy = message.energy;
+		this.onUpdate();
+	}
+}
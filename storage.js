@@ -0,0 +1,479 @@
+import { vec2 } from "./vec2.js";
+import { Node, Graph, RELATIONSHIP_TYPES, FORCE_MODELS } from "./graph.js";
+
+/** localStorage key holding the saved graph. */
+var STORAGE_KEY = "friend-graph";
+
+/**
+ * localStorage key a saved graph that can't be read is moved to, so later saves keep it. If it
+ * is taken, "-2", "-3"… are appended.
+ */
+var UNREADABLE_KEY = "friend-graph-unreadable";
+
+/**
+ * True while an unreadable save could not be copied aside and still sits under STORAGE_KEY:
+ * saveState then refuses to write over it.
+ * @type {boolean}
+ */
+var unreadableInPlace = false;
+
+/** Start of a URL hash that carries a shared graph. */
+export var SHARE_HASH_PREFIX = "#share=";
+
+/**
+ * Version of the saved format. Bump it whenever the shape changes and add a step to
+ * SAVE_MIGRATIONS that upgrades the previous version.
+ */
+var SAVE_VERSION = 7;
+
+/**
+ * Upgrade steps keyed by the version they upgrade from. Each step receives a saved object of
+ * that version and returns one of the next version. A step checks the parts it reads, and
+ * throws the message validateState would give if they are missing.
+ * @type {Object<number, function(Object): Object>}
+ */
+var SAVE_MIGRATIONS = {
+	// Version 2 added the force constants.
+	1: function(data) {
+		var graph = new Graph();
+		data.forces = { repelK: graph.repelK, attractK: graph.attractK, centerK: graph.centerK };
+		data.version = 2;
+		return data;
+	},
+	// Version 3 turned [a, b, date, note] edge tuples into objects with an end date and a type.
+	2: function(data) {
+		if (!Array.isArray(data.edges)) throw new Error("Missing edge list.");
+		data.edges = data.edges.map(function(edge) {
+			if (!Array.isArray(edge)) return edge;
+			var saved = { a: edge[0], b: edge[1], start: edge[2], type: RELATIONSHIP_TYPES[0] };
+			if (edge[3]) saved.note = edge[3];
+			return saved;
+		});
+		data.version = 3;
+		return data;
+	},
+	// Version 4 added force models and a rest length. The attraction constant of version 3
+	// belonged to a d² law with no rest length, so it is replaced by the new default.
+	3: function(data) {
+		if (data.forces === null || typeof data.forces !== "object") throw new Error("Invalid force constants.");
+		var graph = new Graph();
+		data.forces.attractK = graph.attractK;
+		data.forces.model = graph.forceModel;
+		data.forces.restLength = graph.restLength;
+		data.version = 4;
+		return data;
+	},
+	// Version 5 saves the view center. Version 4 files from before it have none and open
+	// centered on 0,0.
+	4: function(data) {
+		if (data.center === undefined) data.center = [0, 0];
+		data.version = 5;
+		return data;
+	},
+	// Version 6 saves pinned nodes and the frozen layout. Nodes only carry pinned when it is
+	// true; version 5 files from before it are not frozen.
+	5: function(data) {
+		if (data.forces === null || typeof data.forces !== "object") throw new Error("Invalid force constants.");
+		if (data.forces.frozen === undefined) data.forces.frozen = false;
+		data.version = 6;
+		return data;
+	},
+	// Version 7 saves the friend circles and the circle pull. Version 6 files from before it
+	// have neither.
+	6: function(data) {
+		if (data.forces === null || typeof data.forces !== "object") throw new Error("Invalid force constants.");
+		if (data.forces.communityK === undefined) data.forces.communityK = 0;
+		if (data.circles === undefined) data.circles = [];
+		data.version = 7;
+		return data;
+	}
+};
+
+/**
+ * @param {Date} d A date.
+ * @returns {string} Local calendar date as "YYYY-MM-DD".
+ */
+export function formatDate(d) {
+	var m = d.getMonth() + 1;
+	var day = d.getDate();
+	return d.getFullYear() + "-" + (m < 10 ? "0" : "") + m + "-" + (day < 10 ? "0" : "") + day;
+}
+
+/**
+ * Parse a date written by formatDate. Local time is used on purpose so a saved year never
+ * shifts when the file is opened in another timezone.
+ * @param {string} s Date string like "2020-01-01".
+ * @returns {Date|null} The date, or null if s is not a valid date string.
+ */
+export function parseDate(s) {
+	var m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+	if (!m) return null;
+	var year = parseInt(m[1], 10);
+	var month = parseInt(m[2], 10) - 1;
+	var day = parseInt(m[3], 10);
+	var date = new Date(year, month, day);
+	// Date rolls "2020-13-45" over into 2021 instead of failing.
+	if (date.getFullYear() !== year || date.getMonth() !== month || date.getDate() !== day) return null;
+	return date;
+}
+
+/**
+ * A community of friends as saved: its members are listed by name so the legend settings
+ * survive index changes.
+ * @typedef {Object} SavedCircle
+ * @property {string} name Name shown in the legend.
+ * @property {string} color Outline color, "#rrggbb".
+ * @property {boolean} hidden True if its members are hidden.
+ * @property {string[]} members Names of its members.
+ */
+
+/**
+ * Convert the graph and view state to plain data. Freed node slots are dropped and the
+ * remaining indices are compacted.
+ * @param {Graph} graph Data model.
+ * @param {{title:string, zoom:number, center:{x:number,y:number}, circles?:SavedCircle[]}} view
+ * View state saved alongside the graph.
+ * @returns {Object} Saved object of the current SAVE_VERSION.
+ */
+export function serializeState(graph, view) {
+	/** @type {number[]} */
+	var remap = new Array(graph.nodes.length);
+	var nodes = [];
+	for (var i = 0; i < graph.nodes.length; i++) {
+		if (graph.isFree(i)) continue;
+		var n = graph.nodes[i];
+		remap[i] = nodes.length;
+		var saved = { name: n.name, image: n.image, pos: [n.pos.x, n.pos.y] };
+		if (n.pinned) saved.pinned = true;
+		nodes.push(saved);
+	}
+
+	var edges = graph.edges.map(function(edge) {
+		var saved = { a: remap[edge.a], b: remap[edge.b], start: formatDate(edge.start), type: edge.type };
+		if (edge.end) saved.end = formatDate(edge.end);
+		if (edge.note) saved.note = edge.note;
+		return saved;
+	});
+
+	var data = {
+		version: SAVE_VERSION,
+		title: view.title,
+		zoom: view.zoom,
+		center: [view.center.x, view.center.y],
+		forces: {
+			model: graph.forceModel,
+			repelK: graph.repelK,
+			attractK: graph.attractK,
+			centerK: graph.centerK,
+			restLength: graph.restLength,
+			communityK: graph.communityK,
+			frozen: graph.frozen
+		},
+		nodes: nodes,
+		edges: edges,
+		circles: view.circles || []
+	};
+	return data;
+}
+
+/**
+ * @param {*} v Any value.
+ * @returns {boolean} True if v is a finite number.
+ */
+function isFiniteNumber(v) {
+	return typeof v === "number" && isFinite(v);
+}
+
+/**
+ * Check that a saved object of the current SAVE_VERSION is well formed. Null node entries are
+ * allowed (they are dropped when loading) but edges must point at existing nodes, and each
+ * pair may be connected only once. An edge may list its ends in either order.
+ * @param {Object} data Saved object.
+ * @returns {void}
+ * @throws {Error} Describing the first problem found.
+ */
+function validateState(data) {
+	if (typeof data.title !== "string") throw new Error("Missing title.");
+	if (!isFiniteNumber(data.zoom) || data.zoom <= 0) throw new Error("Invalid zoom.");
+	if (!Array.isArray(data.center) || !isFiniteNumber(data.center[0]) || !isFiniteNumber(data.center[1])) {
+		throw new Error("Invalid view center.");
+	}
+	var forces = data.forces;
+	if (!forces || !isFiniteNumber(forces.repelK) || !isFiniteNumber(forces.attractK) ||
+		!isFiniteNumber(forces.centerK) || !isFiniteNumber(forces.restLength) || forces.restLength <= 0) {
+		throw new Error("Invalid force constants.");
+	}
+	if (FORCE_MODELS.indexOf(forces.model) === -1) throw new Error("Unknown force model.");
+	if (typeof forces.frozen !== "boolean") throw new Error("Invalid frozen flag.");
+	if (!isFiniteNumber(forces.communityK) || forces.communityK < 0) throw new Error("Invalid community pull.");
+	if (!Array.isArray(data.circles)) throw new Error("Invalid circle list.");
+	for (var c = 0; c < data.circles.length; c++) {
+		var circle = data.circles[c];
+		if (circle === null || typeof circle !== "object" || typeof circle.name !== "string" ||
+			typeof circle.color !== "string" || !/^#[0-9a-f]{6}$/i.test(circle.color) ||
+			typeof circle.hidden !== "boolean" || !Array.isArray(circle.members) ||
+			!circle.members.every(name => typeof name === "string")) {
+			throw new Error("Circle " + c + " is malformed.");
+		}
+	}
+	if (!Array.isArray(data.nodes)) throw new Error("Missing node list.");
+	if (!Array.isArray(data.edges)) throw new Error("Missing edge list.");
+
+	for (var i = 0; i < data.nodes.length; i++) {
+		var n = data.nodes[i];
+		if (n === null) continue;
+		if (typeof n !== "object" || typeof n.name !== "string" || n.name.trim().length === 0) {
+			throw new Error("Node " + i + " has no name.");
+		}
+		if (n.image != null && typeof n.image !== "string") {
+			throw new Error("Node " + i + " has an invalid image.");
+		}
+		if (!Array.isArray(n.pos) || !isFiniteNumber(n.pos[0]) || !isFiniteNumber(n.pos[1])) {
+			throw new Error("Node " + i + " has an invalid position.");
+		}
+		if (n.pinned !== undefined && typeof n.pinned !== "boolean") {
+			throw new Error("Node " + i + " has an invalid pinned flag.");
+		}
+	}
+
+	/** @type {Set<string>} */
+	var pairs = new Set();
+	for (var e = 0; e < data.edges.length; e++) {
+		var edge = data.edges[e];
+		if (edge === null || typeof edge !== "object") throw new Error("Edge " + e + " is malformed.");
+		for (const idx of [edge.a, edge.b]) {
+			if (!Number.isInteger(idx) || idx < 0 || idx >= data.nodes.length || data.nodes[idx] === null) {
+				throw new Error("Edge " + e + " points at missing node " + idx + ".");
+			}
+		}
+		if (edge.a === edge.b) throw new Error("Edge " + e + " connects a node to itself.");
+		var pair = Math.min(edge.a, edge.b) + ":" + Math.max(edge.a, edge.b);
+		if (pairs.has(pair)) throw new Error("Edge " + e + " repeats an earlier connection.");
+		pairs.add(pair);
+		if (typeof edge.start !== "string" || parseDate(edge.start) === null) {
+			throw new Error("Edge " + e + " has an invalid start date.");
+		}
+		if (edge.end !== undefined && (typeof edge.end !== "string" || parseDate(edge.end) === null)) {
+			throw new Error("Edge " + e + " has an invalid end date.");
+		}
+		if (edge.end !== undefined && parseDate(edge.end) < parseDate(edge.start)) {
+			throw new Error("Edge " + e + " ends before it starts.");
+		}
+		if (RELATIONSHIP_TYPES.indexOf(edge.type) === -1) {
+			throw new Error("Edge " + e + " has an unknown type.");
+		}
+		if (edge.note !== undefined && typeof edge.note !== "string") {
+			throw new Error("Edge " + e + " has an invalid note.");
+		}
+	}
+}
+
+/**
+ * Parse, migrate and validate the text of a saved graph file.
+ * @param {string} text File contents.
+ * @returns {Object} Saved object of the current SAVE_VERSION.
+ * @throws {Error} If the file is not a graph this page can read.
+ */
+export function parseStateText(text) {
+	var data;
+	try {
+		data = JSON.parse(text);
+	} catch (err) {
+		throw new Error("Not a JSON file.");
+	}
+	if (data === null || typeof data !== "object") throw new Error("Not a friend graph file.");
+	if (typeof data.version === "number" && data.version > SAVE_VERSION) {
+		throw new Error("This file was saved by a newer version of Friend Graph.");
+	}
+	data = migrateState(data);
+	if (!data) throw new Error("Not a friend graph file.");
+	validateState(data);
+	return data;
+}
+
+/**
+ * Rebuild a graph from a validated saved object of the current SAVE_VERSION. Null node
+ * entries are dropped and the remaining indices compacted.
+ * @param {Object} data Saved object.
+ * @returns {Graph} The restored graph.
+ */
+export function deserializeGraph(data) {
+	var graph = new Graph();
+	graph.forceModel = data.forces.model;
+	graph.repelK = data.forces.repelK;
+	graph.attractK = data.forces.attractK;
+	graph.centerK = data.forces.centerK;
+	graph.restLength = data.forces.restLength;
+	graph.communityK = data.forces.communityK;
+	graph.frozen = data.forces.frozen;
+
+	/** @type {number[]} */
+	var remap = new Array(data.nodes.length);
+	for (var i = 0; i < data.nodes.length; i++) {
+		var saved = data.nodes[i];
+		if (saved === null) continue;
+		var node = new Node(saved.name);
+		node.image = saved.image || null;
+		node.pos = vec2(saved.pos);
+		node.pinned = saved.pinned === true;
+		remap[i] = graph.nodes.length;
+		graph.nodes.push(node);
+	}
+	graph.structureChanged();
+	for (const edge of data.edges) {
+		var a = remap[edge.a];
+		var b = remap[edge.b];
+		graph.addOrUpdateEdge(a, b, parseDate(edge.start), edge.type);
+		graph.updateEdge(a, b, {
+			end: edge.end ? parseDate(edge.end) : null,
+			note: edge.note || ""
+		});
+	}
+	return graph;
+}
+
+/**
+ * Bring a saved object up to SAVE_VERSION.
+ * @param {Object} data Saved object of any known version.
+ * @returns {Object|null} Upgraded object, or null if the version is unknown.
+ */
+function migrateState(data) {
+	if (!data || typeof data.version !== "number") return null;
+	while (data.version < SAVE_VERSION) {
+		var step = SAVE_MIGRATIONS[data.version];
+		if (!step) return null;
+		data = step(data);
+	}
+	// Saved by a newer version of the page: we can't read it.
+	if (data.version !== SAVE_VERSION) return null;
+	return data;
+}
+
+/**
+ * Write a saved object to localStorage.
+ * @param {Object} data Saved object.
+ * @returns {boolean} False if the browser refused (e.g. quota exceeded by images).
+ */
+export function saveState(data) {
+	if (unreadableInPlace) return false;
+	try {
+		localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+		return true;
+	} catch (err) {
+		return false;
+	}
+}
+
+/**
+ * @returns {string} UNREADABLE_KEY, or the first numbered variant of it that holds nothing yet.
+ */
+function freeUnreadableKey() {
+	var key = UNREADABLE_KEY;
+	for (var n = 2; localStorage.getItem(key) !== null; n++) key = UNREADABLE_KEY + "-" + n;
+	return key;
+}
+
+/**
+ * Read and migrate the saved object from localStorage. A save that can't be read is moved to
+ * a free UNREADABLE_KEY, as the page would otherwise save an empty graph over it. If there is
+ * no room for the copy, the save stays where it is and saveState won't write over it.
+ * @returns {Object|null} Saved object of the current SAVE_VERSION, or null if there is none.
+ * @throws {Error} If there was a save but it can't be read; the message says where it is.
+ */
+export function loadState() {
+	unreadableInPlace = false;
+	var raw;
+	try {
+		raw = localStorage.getItem(STORAGE_KEY);
+	} catch (err) {
+		return null;
+	}
+	if (!raw) return null;
+	try {
+		return parseStateText(raw);
+	} catch (err) {
+		var problem = "The graph saved in this browser could not be read (" + err.message + ") " +
+			"so the page starts empty. ";
+		var key = freeUnreadableKey();
+		try {
+			localStorage.setItem(key, raw);
+		} catch (copyErr) {
+			unreadableInPlace = true;
+			throw new Error(problem + "There was no room to copy the old save aside, so it stays " +
+				"in localStorage under \"" + STORAGE_KEY + "\" and nothing you do now will be saved.");
+		}
+		localStorage.removeItem(STORAGE_KEY);
+		throw new Error(problem + "The old save is kept in localStorage under \"" + key + "\".");
+	}
+}
+
+/**
+ * Slim a saved object down for a share link: positions are rounded to whole units and, unless
+ * asked to keep them, pictures are left out.
+ * @param {Object} data Saved object.
+ * @param {boolean} withImages Keep the pictures.
+ * @returns {Object} Saved object to share.
+ */
+export function shareableState(data, withImages) {
+	var nodes = data.nodes.map(function(n) {
+		var shared = Object.assign({}, n, { pos: [Math.round(n.pos[0]), Math.round(n.pos[1])] });
+		if (!withImages) delete shared.image;
+		return shared;
+	});
+	return Object.assign({}, data, { nodes: nodes });
+}
+
+/**
+ * @param {Uint8Array} bytes Binary data.
+ * @returns {string} The data in URL-safe base64, without padding.
+ */
+function toBase64Url(bytes) {
+	var binary = "";
+	// Chunked, as String.fromCharCode can't take a whole picture's worth of arguments.
+	for (var i = 0; i < bytes.length; i += 0x8000) {
+		binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+	}
+	return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * @param {string} text URL-safe base64, as written by toBase64Url.
+ * @returns {Uint8Array} The binary data.
+ * @throws {Error} If text is not base64.
+ */
+function fromBase64Url(text) {
+	var binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+	var bytes = new Uint8Array(binary.length);
+	for (var i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+	return bytes;
+}
+
+/**
+ * Compress a saved object into a URL hash, starting with SHARE_HASH_PREFIX.
+ * @param {Object} data Saved object, e.g. from shareableState.
+ * @returns {Promise<string>} The hash.
+ */
+export function encodeShareHash(data) {
+	return Promise.resolve().then(function() {
+		var json = new Blob([JSON.stringify(data)]);
+		var compressed = json.stream().pipeThrough(new CompressionStream("deflate-raw"));
+		return new Response(compressed).arrayBuffer();
+	}).then(function(buffer) {
+		return SHARE_HASH_PREFIX + toBase64Url(new Uint8Array(buffer));
+	});
+}
+
+/**
+ * Read the graph out of a share link's hash.
+ * @param {string} hash URL hash starting with SHARE_HASH_PREFIX.
+ * @returns {Promise<Object>} Saved object of the current SAVE_VERSION.
+ */
+export function decodeShareHash(hash) {
+	return Promise.resolve().then(function() {
+		var bytes = fromBase64Url(hash.slice(SHARE_HASH_PREFIX.length));
+		var json = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+		return new Response(json).text();
+	}).catch(function() {
+		throw new Error("The link is incomplete or damaged.");
+	}).then(parseStateText);
+}
@@ -0,0 +1,97 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Node, Graph } from "../graph.js";
+import {
+	centrality, clusteringCoefficient, connectedComponents, commonFriends, shortestPath,
+	detectCommunities, possibleDuplicates
+} from "../analytics.js";
+
+/**
+ * @param {Array<[string, string, number?]>} pairs Friendships, with the year they started.
+ * @returns {Graph} The graph.
+ */
+function graphOf(pairs) {
+	var graph = new Graph();
+	for (const [a, b, year] of pairs) graph.addFriendGroup([a, b], new Date(year || 2020, 0, 1));
+	return graph;
+}
+
+test("centrality of a star and a path", function() {
+	var star = graphOf([["H", "A"], ["H", "B"], ["H", "C"]]);
+	var c = centrality(star);
+	assert.equal(c.betweenness[star.findNode("H")], 1);
+	assert.equal(c.betweenness[star.findNode("A")], 0);
+	assert.equal(c.closeness[star.findNode("H")], 1);
+	assert.equal(c.closeness[star.findNode("A")], 3 / 5);
+	assert.deepEqual(c.eccentricity, [1, 2, 2, 2]);
+
+	var path = graphOf([["A", "B"], ["B", "C"], ["C", "D"]]);
+	c = centrality(path);
+	// B lies on A–C and A–D, out of the three pairs of others.
+	assert.equal(c.betweenness[path.findNode("B")], 2 / 3);
+	assert.equal(c.betweenness[path.findNode("A")], 0);
+	assert.equal(Math.max(...c.eccentricity), 3);
+});
+
+test("centrality is cached until the graph changes", function() {
+	var graph = graphOf([["A", "B"]]);
+	var first = centrality(graph);
+	assert.equal(centrality(graph), first);
+	graph.addFriendGroup(["B", "C"], new Date(2020, 0, 1));
+	assert.notEqual(centrality(graph), first);
+	assert.equal(centrality(graph).betweenness[graph.findNode("B")], 1);
+});
+
+test("clustering, components and common friends", function() {
+	var graph = graphOf([["A", "B"], ["A", "C"], ["B", "C"], ["A", "D"], ["E", "F"]]);
+	assert.equal(clusteringCoefficient(graph, graph.findNode("A")), 1 / 3);
+	assert.equal(clusteringCoefficient(graph, graph.findNode("B")), 1);
+	assert.equal(clusteringCoefficient(graph, graph.findNode("D")), 0);
+	assert.deepEqual(connectedComponents(graph).map(members => members.length), [4, 2]);
+	assert.deepEqual(commonFriends(graph, graph.findNode("B"), graph.findNode("C")), [graph.findNode("A")]);
+	assert.deepEqual(commonFriends(graph, graph.findNode("D"), graph.findNode("E")), []);
+});
+
+test("shortestPath breaks ties by when the friendships started", function() {
+	// Two equally short chains from A to D: through B (old friends) and through C (new ones).
+	var graph = graphOf([["A", "C", 2020], ["C", "D", 2021], ["A", "B", 2005], ["B", "D", 2006], ["D", "E", 2010]]);
+	var names = path => path.map(i => graph.nodes[i].name).join("");
+	var a = graph.findNode("A");
+	var e = graph.findNode("E");
+	assert.equal(names(shortestPath(graph, a, e, "oldest")), "ABDE");
+	assert.equal(names(shortestPath(graph, a, e, "newest")), "ACDE");
+	assert.equal(shortestPath(graph, a, e).length, 4);
+	assert.deepEqual(shortestPath(graph, a, a), [a]);
+
+	graph.getOrCreateNodeIndex("F");
+	assert.equal(shortestPath(graph, a, graph.findNode("F")), null);
+});
+
+test("detectCommunities finds two cliques joined by one friendship", function() {
+	var graph = new Graph();
+	graph.addFriendGroup(["A1", "A2", "A3", "A4"], new Date(2020, 0, 1));
+	graph.addFriendGroup(["B1", "B2", "B3", "B4", "B5"], new Date(2020, 0, 1));
+	graph.addFriendGroup(["A1", "B1"], new Date(2020, 0, 1));
+	graph.getOrCreateNodeIndex("Loner");
+	graph.getOrCreateNodeIndex("Gone");
+	graph.deleteNode(graph.findNode("Gone"));
+
+	var communities = detectCommunities(graph);
+	var of = name => communities[graph.findNode(name)];
+	// Numbered by decreasing size.
+	for (const name of ["B1", "B2", "B3", "B4", "B5"]) assert.equal(of(name), 0);
+	for (const name of ["A1", "A2", "A3", "A4"]) assert.equal(of(name), 1);
+	assert.equal(of("Loner"), -1);
+	assert.equal(communities[communities.length - 1], -1);
+	assert.deepEqual(detectCommunities(new Graph()), []);
+});
+
+test("possibleDuplicates pairs equal names and single typos", function() {
+	var graph = new Graph();
+	for (const name of ["Alice", "Alise", "Bob", "Rob", "Carol", "Karl"]) graph.getOrCreateNodeIndex(name);
+	// Saved before names were matched loosely, so getOrCreateNodeIndex would not add it.
+	graph.nodes.push(new Node(" CAROL"));
+	graph.structureChanged();
+	// Bob and Rob are one typo apart, but too short to tell.
+	assert.deepEqual(possibleDuplicates(graph), [[0, 1], [4, 6]]);
+});
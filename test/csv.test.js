@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isValidYear, parseGroupRows } from "../csv.js";
+
+test("isValidYear takes four-digit years from 1900 to 2100", function() {
+	for (const year of ["1900", "2024", "2100"]) assert.ok(isValidYear(year), year);
+	for (const year of ["1899", "2101", "99", "20x4", " 2024", "", "2024.0"]) assert.ok(!isValidYear(year), year);
+});
+
+test("parseGroupRows reads one group per line and skips headers, comments and blanks", function() {
+	var rows = parseGroupRows("year, name, name\n\n# school\n2015, Alice, Bob\r\n2018;Carol;Dave;Erin\n2020\tFay\tGus\n");
+	assert.deepEqual(rows, [
+		{ line: 4, year: "2015", names: ["Alice", "Bob"], errors: [] },
+		{ line: 5, year: "2018", names: ["Carol", "Dave", "Erin"], errors: [] },
+		{ line: 6, year: "2020", names: ["Fay", "Gus"], errors: [] }
+	]);
+});
+
+test("parseGroupRows keeps separators and quotes inside quoted fields", function() {
+	var rows = parseGroupRows('2019, "Smith, Jo", "Al ""Big"" Lee",, Kim');
+	assert.deepEqual(rows[0].names, ["Smith, Jo", 'Al "Big" Lee', "Kim"]);
+	assert.deepEqual(rows[0].errors, []);
+});
+
+test("parseGroupRows reports what keeps a row from being imported", function() {
+	var rows = parseGroupRows("2015, Alice, Bob\nsoon, Alice, Bob\n2016, Alice\n2017, Alice, bob, ALICE ");
+	assert.equal(rows.length, 4);
+	assert.deepEqual(rows[0].errors, []);
+	assert.deepEqual(rows[1].errors, ["Bad year \"soon\""]);
+	assert.deepEqual(rows[2].errors, ["Needs at least two names"]);
+	assert.deepEqual(rows[3].errors, ["\"ALICE\" appears twice"]);
+	// Only a first line is taken for a header.
+	assert.deepEqual(parseGroupRows("2015, A, B\nyear, C, D")[1].errors, ["Bad year \"year\""]);
+});
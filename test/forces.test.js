@@ -0,0 +1,173 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { Graph, FORCE_MODELS } from "../graph.js";
+import { vec2 } from "../vec2.js";
+
+/** Small canonical graphs, as friend groups of two or more. */
+var SHAPES = {
+	path: [["A", "B"], ["B", "C"], ["C", "D"], ["D", "E"]],
+	star: [["H", "A"], ["H", "B"], ["H", "C"], ["H", "D"], ["H", "E"]],
+	clique: [["A", "B", "C", "D", "E"]]
+};
+
+/**
+ * @param {string} model One of FORCE_MODELS.
+ * @param {string[][]} groups Friend groups.
+ * @returns {Graph} The graph, its nodes spread on a spiral around the origin.
+ */
+function buildGraph(model, groups) {
+	var graph = new Graph();
+	graph.forceModel = model;
+	for (const group of groups) graph.addFriendGroup(group, new Date(2020, 0, 1));
+	graph.nodes.forEach(function(node, i) {
+		node.pos = vec2.mul(vec2(Math.cos(i * 2.4), Math.sin(i * 2.4)), 40 + i * 15);
+	});
+	return graph;
+}
+
+/**
+ * Run the simulation until it has cooled down completely.
+ * @param {Graph} graph The graph.
+ * @returns {number} Steps taken.
+ */
+function coolDown(graph) {
+	var steps = 0;
+	while (graph.alpha >= graph.alphaMin && steps < 2000) {
+		graph.update(1 / 60);
+		steps++;
+	}
+	return steps;
+}
+
+/**
+ * @param {Graph} graph The graph.
+ * @returns {number[]} Distance of every node from their center of mass.
+ */
+function radii(graph) {
+	var sum = graph.nodes.reduce((s, node) => vec2.add(s, node.pos), vec2(0, 0));
+	var center = vec2.div(sum, graph.nodes.length);
+	return graph.nodes.map(node => vec2.len(vec2.sub(node.pos, center)));
+}
+
+/**
+ * @param {number} a A number.
+ * @param {number} b Another number.
+ * @param {number} [tolerance=1e-9] Largest difference allowed.
+ * @returns {void}
+ */
+function assertClose(a, b, tolerance) {
+	assert.ok(Math.abs(a - b) <= (tolerance || 1e-9), a + " is not close to " + b);
+}
+
+for (const model of FORCE_MODELS) {
+	describe(model, function() {
+		test("pair forces are equal and opposite in every direction", function() {
+			var graph = buildGraph(model, []);
+			var pairs = [
+				[vec2(0, 0), vec2(250, 0)],
+				[vec2(0, 0), vec2(-250, 0)],
+				[vec2(10, 20), vec2(-140, -180)],
+				[vec2(-30, 40), vec2(-60, 70)]
+			];
+			for (const [a, b] of pairs) {
+				for (const force of ["edgeAttractionForce", "nodeRepulsionForce"]) {
+					var ab = graph[force](a, b);
+					var ba = graph[force](b, a);
+					assertClose(ab.x, -ba.x);
+					assertClose(ab.y, -ba.y);
+					// Both forces act along the line between the nodes.
+					assertClose(vec2.cross(ab, vec2.sub(b, a)), 0, 1e-6);
+				}
+				// Far apart, an edge pulls its ends together, whichever way it points.
+				var far = vec2.sub(b, a);
+				if (vec2.len(far) > graph.restLength) {
+					assert.ok(vec2.dot(graph.edgeAttractionForce(a, b), far) > 0);
+				}
+			}
+		});
+
+		test("forces inside the graph add up to zero", function() {
+			for (const groups of Object.values(SHAPES)) {
+				var graph = buildGraph(model, groups);
+				graph.centerK = 0;
+				graph.update(1 / 60);
+				var momentum = graph.nodes.reduce((s, node) => vec2.add(s, node.vel), vec2(0, 0));
+				assertClose(momentum.x, 0, 1e-6);
+				assertClose(momentum.y, 0, 1e-6);
+			}
+		});
+
+		test("a mirrored layout moves mirrored", function() {
+			for (const groups of Object.values(SHAPES)) {
+				var graph = buildGraph(model, groups);
+				var mirror = buildGraph(model, groups);
+				for (const node of mirror.nodes) node.pos = vec2.mul(node.pos, -1);
+				for (var step = 0; step < 100; step++) {
+					graph.update(1 / 60);
+					mirror.update(1 / 60);
+				}
+				graph.nodes.forEach(function(node, i) {
+					assertClose(node.pos.x, -mirror.nodes[i].pos.x, 1e-6);
+					assertClose(node.pos.y, -mirror.nodes[i].pos.y, 1e-6);
+				});
+			}
+		});
+
+		test("a path settles stretched out", function() {
+			var graph = buildGraph(model, SHAPES.path);
+			coolDown(graph);
+			assert.ok(graph.isSettled());
+			var ends = vec2.len(vec2.sub(graph.nodes[0].pos, graph.nodes[4].pos));
+			for (var i = 0; i < 5; i++) {
+				for (var j = i + 1; j < 5; j++) {
+					if (i === 0 && j === 4) continue;
+					assert.ok(vec2.len(vec2.sub(graph.nodes[i].pos, graph.nodes[j].pos)) < ends);
+				}
+			}
+		});
+
+		test("a star settles with its hub in the middle", function() {
+			var graph = buildGraph(model, SHAPES.star);
+			coolDown(graph);
+			assert.ok(graph.isSettled());
+			var [hub, ...leaves] = radii(graph);
+			assert.ok(hub < 0.2 * Math.min(...leaves));
+			var spokes = graph.edges.map(e => vec2.len(vec2.sub(graph.nodes[e.a].pos, graph.nodes[e.b].pos)));
+			assert.ok(Math.max(...spokes) < 1.1 * Math.min(...spokes));
+		});
+
+		test("a clique settles into a regular polygon", function() {
+			var graph = buildGraph(model, SHAPES.clique);
+			coolDown(graph);
+			assert.ok(graph.isSettled());
+			var r = radii(graph);
+			assert.ok(Math.max(...r) < 1.1 * Math.min(...r));
+		});
+	});
+}
+
+test("a graph without people is settled", function() {
+	var graph = new Graph();
+	graph.reheat();
+	graph.update(1 / 60);
+	assert.ok(graph.isSettled());
+
+	graph.addFriendGroup(["A", "B"], new Date(2020, 0, 1));
+	assert.ok(!graph.isSettled());
+	graph.deleteNode(0);
+	graph.deleteNode(1);
+	assert.ok(graph.isSettled());
+});
+
+test("a frozen graph is settled", function() {
+	var graph = buildGraph(FORCE_MODELS[0], SHAPES.clique);
+	graph.frozen = true;
+	graph.reheat();
+	var before = graph.nodes.map(node => vec2(node.pos));
+	graph.update(1 / 60);
+	assert.ok(graph.isSettled());
+	graph.nodes.forEach((node, i) => assert.deepEqual(node.pos, before[i]));
+
+	graph.frozen = false;
+	assert.ok(!graph.isSettled());
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Graph } from "../graph.js";
+
+/**
+ * @param {Graph} graph The graph.
+ * @returns {string[]} Its edges as "a-b" pairs of names, sorted.
+ */
+function edgeNames(graph) {
+	return graph.edges.map(e => graph.nodes[e.a].name + "-" + graph.nodes[e.b].name).sort();
+}
+
+test("getOrCreateNodeIndex returns existing nodes and reuses freed slots", function() {
+	var graph = new Graph();
+	assert.equal(graph.getOrCreateNodeIndex("Alice"), 0);
+	assert.equal(graph.getOrCreateNodeIndex("Bob"), 1);
+	assert.equal(graph.getOrCreateNodeIndex("Carol"), 2);
+	assert.equal(graph.getOrCreateNodeIndex("Bob"), 1);
+	assert.equal(graph.getOrCreateNodeIndex(" bob "), 1);
+
+	graph.deleteNode(1);
+	assert.ok(graph.isFree(1));
+	assert.equal(graph.getOrCreateNodeIndex("Dave"), 1);
+	assert.equal(graph.nodes[1].name, "Dave");
+	assert.equal(graph.nodes.length, 3);
+	assert.equal(graph.getOrCreateNodeIndex("Erin"), 3);
+});
+
+test("addFriendGroup connects every pair of the group once", function() {
+	var graph = new Graph();
+	graph.addFriendGroup(["A", "B", "C", "D"], new Date(2020, 0, 1));
+	assert.equal(graph.nodes.length, 4);
+	assert.deepEqual(edgeNames(graph), ["A-B", "A-C", "A-D", "B-C", "B-D", "C-D"]);
+	for (const edge of graph.edges) assert.ok(edge.a < edge.b);
+
+	// The same person written twice is one member, and existing pairs are not duplicated.
+	graph.addFriendGroup(["A", "E", "a "], new Date(2021, 0, 1));
+	assert.equal(graph.nodes.length, 5);
+	assert.deepEqual(edgeNames(graph), ["A-B", "A-C", "A-D", "A-E", "B-C", "B-D", "C-D"]);
+});
+
+test("addOrUpdateEdge keeps the earliest date", function() {
+	var graph = new Graph();
+	graph.addFriendGroup(["A", "B"], new Date(2015, 0, 1));
+	graph.addOrUpdateEdge(1, 0, new Date(2018, 0, 1));
+	assert.equal(graph.edges.length, 1);
+	assert.equal(graph.edges[0].start.getFullYear(), 2015);
+
+	graph.addOrUpdateEdge(0, 1, new Date(2012, 0, 1), "family");
+	assert.equal(graph.edges.length, 1);
+	assert.equal(graph.edges[0].start.getFullYear(), 2012);
+	assert.equal(graph.edges[0].type, "family");
+
+	graph.addFriendGroup(["A", "B"], new Date(2019, 0, 1));
+	assert.equal(graph.edges[0].start.getFullYear(), 2012);
+});
+
+test("renameNode trims the name and refuses one another node has", function() {
+	var graph = new Graph();
+	graph.addFriendGroup(["Alice", "Bob"], new Date(2020, 0, 1));
+	assert.ok(graph.renameNode(1, "  Bo  "));
+	assert.equal(graph.nodes[1].name, "Bo");
+	assert.equal(graph.findNode(" bo"), 1);
+	assert.ok(!graph.renameNode(1, " ALICE "));
+	assert.equal(graph.nodes[1].name, "Bo");
+});
+
+test("neighbourhood only follows the shown edges of a mask", function() {
+	var graph = new Graph();
+	for (const pair of [["A", "B"], ["B", "C"], ["C", "D"], ["A", "E"]]) {
+		graph.addFriendGroup(pair, new Date(2020, 0, 1));
+	}
+	assert.deepEqual(graph.neighbourhood(0, 2), [true, true, true, false, true]);
+
+	var mask = {
+		nodes: graph.nodes.map(() => true),
+		edges: graph.edges.map(e => !(e.a === 1 && e.b === 2))
+	};
+	assert.deepEqual(graph.neighbourhood(0, 3, mask), [true, true, false, false, true]);
+	assert.deepEqual([...graph.adjacency(mask)[1]], [0]);
+	assert.deepEqual([...graph.neighbours(1)].sort(), [0, 2]);
+});
+
+test("deleteNode removes the node's edges and keeps the other indices", function() {
+	var graph = new Graph();
+	graph.addFriendGroup(["A", "B", "C"], new Date(2020, 0, 1));
+	graph.addFriendGroup(["C", "D"], new Date(2020, 0, 1));
+	var revision = graph.revision;
+
+	var removed = graph.deleteNode(2);
+	assert.deepEqual(removed.map(pair => pair.join(":")).sort(), ["0:2", "1:2", "2:3"]);
+	assert.equal(graph.nodes[2], null);
+	assert.equal(graph.nodes[3].name, "D");
+	assert.deepEqual(edgeNames(graph), ["A-B"]);
+	assert.equal(graph.degree(3), 0);
+	assert.ok(graph.revision > revision);
+
+	assert.deepEqual(graph.deleteNode(2), []);
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Graph } from "../graph.js";
+import { UndoHistory } from "../history.js";
+
+/**
+ * Make a change the way the page does, and record it.
+ * @param {UndoHistory} history Undo history.
+ * @param {Graph} graph The graph.
+ * @param {string} label What the change does.
+ * @param {function(): void} change Changes the graph.
+ * @param {string} [mergeKey] Merge key of the entry.
+ * @returns {void}
+ */
+function record(history, graph, label, change, mergeKey) {
+	var before = graph.snapshot();
+	change();
+	history.push({ label: label, before: before, after: graph.snapshot(), positional: false, mergeKey: mergeKey });
+}
+
+test("entries share the nodes and edges a change didn't touch", function() {
+	var graph = new Graph();
+	var history = new UndoHistory();
+	record(history, graph, "Add group", () => graph.addFriendGroup(["A", "B", "C"], new Date(2020, 0, 1)));
+	record(history, graph, "Rename", () => graph.renameNode(1, "Bea"));
+
+	var [add, rename] = history.done;
+	assert.equal(rename.before.nodes[1], add.after.nodes[1]);
+	assert.equal(rename.before.edges[2], add.after.edges[2]);
+	assert.equal(rename.after.nodes[0], rename.before.nodes[0]);
+	assert.notEqual(rename.after.nodes[1], rename.before.nodes[1]);
+	assert.equal(rename.after.nodes[1].name, "Bea");
+	assert.equal(rename.before.nodes[1].name, "B");
+});
+
+test("undoing a shared entry restores the graph as it was", function() {
+	var graph = new Graph();
+	var history = new UndoHistory();
+	record(history, graph, "Add group", () => graph.addFriendGroup(["A", "B"], new Date(2020, 0, 1)));
+	record(history, graph, "Rename", () => graph.renameNode(0, "Al"), "rename0");
+	record(history, graph, "Rename", () => graph.renameNode(0, "Alf"), "rename0");
+	assert.equal(history.done.length, 2);
+
+	graph.restore(history.undo().before, false);
+	assert.deepEqual(graph.nodes.map(node => node.name), ["A", "B"]);
+	graph.restore(history.undo().before, false);
+	assert.deepEqual(graph.nodes, []);
+	graph.restore(history.redo().after, false);
+	graph.restore(history.redo().after, false);
+	assert.deepEqual(graph.nodes.map(node => node.name), ["Alf", "B"]);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { QuadTree } from "../quadtree.js";
+import { vec2 } from "../vec2.js";
+
+/**
+ * @param {QuadCell} cell A cell.
+ * @returns {QuadCell[]} Its leaves.
+ */
+function leaves(cell) {
+	if (cell.children === null) return [cell];
+	return cell.children.flatMap(leaves);
+}
+
+test("every body ends up alone in a leaf that contains it", function() {
+	var points = [];
+	for (var i = 0; i < 50; i++) points.push(vec2(Math.cos(i) * i * 7, Math.sin(i * 1.3) * 90));
+	var ids = points.map((p, i) => i).filter(i => i !== 3);
+	var tree = new QuadTree(points, ids);
+
+	var found = [];
+	for (const leaf of leaves(tree.root)) {
+		assert.ok(leaf.bodies.length <= 1);
+		for (const id of leaf.bodies) {
+			var p = points[id];
+			assert.ok(p.x >= leaf.x && p.x <= leaf.x + leaf.size && p.y >= leaf.y && p.y <= leaf.y + leaf.size);
+			found.push(id);
+		}
+	}
+	assert.deepEqual(found.sort((a, b) => a - b), ids);
+});
+
+test("cells hold the mass and center of mass of their bodies", function() {
+	var points = [vec2(0, 0), vec2(10, 0), vec2(10, 10), vec2(0, 10)];
+	var tree = new QuadTree(points, [0, 1, 2, 3]);
+	assert.equal(tree.root.mass, 4);
+	assert.deepEqual(tree.root.center, { x: 5, y: 5 });
+	for (const child of tree.root.children) assert.equal(child.mass, 1);
+
+	var weighted = new QuadTree(points, [0, 1, 2, 3], [3, 1, 0, 0]);
+	assert.equal(weighted.root.mass, 4);
+	assert.deepEqual(weighted.root.center, { x: 2.5, y: 0 });
+});
+
+test("bodies on the same point share a leaf instead of splitting forever", function() {
+	var points = [vec2(1, 1), vec2(1, 1), vec2(1, 1), vec2(50, 50)];
+	var tree = new QuadTree(points, [0, 1, 2, 3]);
+	var shared = leaves(tree.root).find(leaf => leaf.bodies.length > 1);
+	assert.deepEqual(shared.bodies, [0, 1, 2]);
+	assert.equal(shared.depth, 24);
+	assert.equal(shared.mass, 3);
+	assert.deepEqual(shared.center, { x: 1, y: 1 });
+});
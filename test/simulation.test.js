@@ -0,0 +1,189 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Graph } from "../graph.js";
+import { vec2 } from "../vec2.js";
+import {
+	graphStructure, loadStructure, LayoutSimulation, WORKER_SIMULATION_MIN_NODES
+} from "../simulation.js";
+
+/**
+ * Stand-in for a Web Worker running simulation-worker.js in this thread. Messages are copied
+ * like postMessage does, and only delivered when the test says so, so it can change the graph
+ * while a step is being computed.
+ */
+class StubWorker {
+	constructor() {
+		/** @type {Object[]} Messages the worker has yet to read. */
+		this.inbox = [];
+		/** @type {Object[]} Replies the page has yet to read. */
+		this.outbox = [];
+		/** @type {Array<function({data:Object}): void>} */
+		this.listeners = [];
+		StubWorker.current = this;
+	}
+
+	addEventListener(type, listener) {
+		if (type === "message") this.listeners.push(listener);
+	}
+
+	postMessage(message) {
+		this.inbox.push(structuredClone(message));
+	}
+
+	terminate() {}
+
+	/**
+	 * Let the worker handle everything sent to it so far.
+	 * @returns {void}
+	 */
+	work() {
+		while (this.inbox.length > 0) workerListener({ data: this.inbox.shift() });
+	}
+
+	/**
+	 * Hand the worker's replies to the page.
+	 * @returns {void}
+	 */
+	reply() {
+		while (this.outbox.length > 0) {
+			var message = this.outbox.shift();
+			for (const listener of this.listeners) listener({ data: message });
+		}
+	}
+}
+
+/** @type {function({data:Object}): void} */
+var workerListener;
+globalThis.self = {
+	addEventListener(type, listener) {
+		workerListener = listener;
+	},
+	postMessage(message) {
+		StubWorker.current.outbox.push(structuredClone(message));
+	}
+};
+globalThis.Worker = StubWorker;
+await import("../simulation-worker.js");
+
+/**
+ * @param {number} n People count.
+ * @returns {Graph} A path of n people, spread on a spiral.
+ */
+function pathGraph(n) {
+	var graph = new Graph();
+	for (var i = 1; i < n; i++) graph.addFriendGroup(["p" + (i - 1), "p" + i], new Date(2020, 0, 1));
+	graph.nodes.forEach(function(node, i) {
+		node.pos = vec2.mul(vec2(Math.cos(i * 2.4), Math.sin(i * 2.4)), 40 + i * 5);
+	});
+	return graph;
+}
+
+/**
+ * One frame of the page, with the worker answering at once.
+ * @param {LayoutSimulation} simulation The simulation.
+ * @param {number} [dragIndex=-1] Dragged node.
+ * @param {{x:number,y:number}} [dragPos] Where it is held.
+ * @returns {StubWorker} The worker.
+ */
+function frame(simulation, dragIndex, dragPos) {
+	simulation.step(1 / 60, null, dragIndex === undefined ? -1 : dragIndex, dragPos || vec2(0, 0));
+	var worker = StubWorker.current;
+	worker.work();
+	worker.reply();
+	return worker;
+}
+
+test("loadStructure rebuilds what graphStructure copied, without pictures", function() {
+	var graph = pathGraph(4);
+	graph.nodes[1].image = "data:image/png;base64,";
+	graph.nodes[2].pinned = true;
+	graph.nodes[3].vel = vec2(1, -2);
+	graph.updateEdge(0, 1, { end: new Date(2022, 0, 1), type: "family" });
+	graph.deleteNode(0);
+
+	var copy = new Graph();
+	var revision = copy.revision;
+	loadStructure(copy, structuredClone(graphStructure(graph)));
+	assert.ok(copy.revision > revision);
+	assert.equal(copy.nodes[0], null);
+	assert.deepEqual(copy.nodes.slice(1).map(node => node.name), ["p1", "p2", "p3"]);
+	assert.equal(copy.nodes[1].image, null);
+	assert.ok(copy.nodes[2].pinned);
+	graph.nodes.forEach(function(node, i) {
+		if (node === null) return;
+		assert.deepEqual(copy.nodes[i].pos, node.pos);
+		assert.deepEqual(copy.nodes[i].vel, node.vel);
+	});
+	assert.deepEqual(copy.edges.map(e => [e.a, e.b]), graph.edges.map(e => [e.a, e.b]));
+	assert.equal(copy.edges[0].start.getTime(), graph.edges[0].start.getTime());
+	assert.equal(copy.degree(1), 1);
+});
+
+test("small graphs are laid out in place", function() {
+	var graph = pathGraph(5);
+	var before = vec2(graph.nodes[0].pos);
+	var simulation = new LayoutSimulation(graph, function() {});
+	simulation.step(1 / 60, null, -1, vec2(0, 0));
+	assert.equal(simulation.worker, null);
+	assert.ok(!vec2.eq(graph.nodes[0].pos, before));
+});
+
+test("receive takes the worker's positions and keeps a reheat", function() {
+	var graph = pathGraph(WORKER_SIMULATION_MIN_NODES);
+	var updates = 0;
+	var simulation = new LayoutSimulation(graph, function() { updates++; });
+	var worker = frame(simulation);
+	assert.ok(simulation.worker instanceof StubWorker);
+	assert.equal(updates, 1);
+	assert.ok(graph.alpha < 1);
+
+	var before = graph.nodes.map(node => vec2(node.pos));
+	simulation.step(1 / 60, null, -1, vec2(0, 0));
+	worker.work();
+	graph.reheat();
+	worker.reply();
+	assert.equal(updates, 2);
+	assert.equal(graph.alpha, 1);
+	assert.ok(graph.nodes.some((node, i) => !vec2.eq(node.pos, before[i])));
+});
+
+test("a change made while the worker computes a step is not undone by it", function() {
+	var graph = pathGraph(WORKER_SIMULATION_MIN_NODES);
+	var simulation = new LayoutSimulation(graph, function() {});
+	var worker = frame(simulation);
+
+	// Undo a drag while the step that moved the node is on its way back.
+	var before = graph.snapshot();
+	var home = vec2(graph.nodes[0].pos);
+	frame(simulation, 0, vec2(5000, 5000));
+	simulation.step(1 / 60, null, 0, vec2(5000, 5000));
+	worker.work();
+	graph.restore(before, true);
+	worker.reply();
+	assert.deepEqual(graph.nodes[0].pos, home);
+	frame(simulation);
+	assert.ok(vec2.len(vec2.sub(graph.nodes[0].pos, home)) < 100);
+
+	// Undo a delete: the worker's copy has no position for the person yet.
+	before = graph.snapshot();
+	var pos = vec2(graph.nodes[5].pos);
+	simulation.deleteNode(5);
+	simulation.step(1 / 60, null, -1, vec2(0, 0));
+	worker.work();
+	graph.restore(before, true);
+	worker.reply();
+	assert.deepEqual(graph.nodes[5].pos, pos);
+	frame(simulation);
+	assert.ok(vec2.len(vec2.sub(graph.nodes[5].pos, pos)) < 100);
+
+	// Merges and deleted connections don't go through the simulation either.
+	pos = graph.nodes.map(node => vec2(node.pos));
+	simulation.step(1 / 60, null, -1, vec2(0, 0));
+	worker.work();
+	graph.deleteEdge(0, 1);
+	graph.mergeNodes(2, 3);
+	worker.reply();
+	graph.nodes.forEach(function(node, i) {
+		if (node !== null) assert.deepEqual(node.pos, pos[i]);
+	});
+});
@@ -0,0 +1,190 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { Graph } from "../graph.js";
+import {
+	serializeState, saveState, loadState, deserializeGraph, parseStateText, parseDate,
+	shareableState, encodeShareHash, decodeShareHash, SHARE_HASH_PREFIX
+} from "../storage.js";
+
+/** In-memory stand-in for the browser's localStorage. */
+class MemoryStorage {
+	constructor() {
+		/** @type {Map<string, string>} */
+		this.items = new Map();
+	}
+
+	getItem(key) {
+		return this.items.has(key) ? this.items.get(key) : null;
+	}
+
+	setItem(key, value) {
+		this.items.set(key, String(value));
+	}
+
+	removeItem(key) {
+		this.items.delete(key);
+	}
+}
+
+beforeEach(function() {
+	globalThis.localStorage = new MemoryStorage();
+});
+
+/**
+ * @returns {Object} Saved object of a two-person graph.
+ */
+function savedPair() {
+	var graph = new Graph();
+	graph.addFriendGroup(["Alice", "Bob"], new Date(2015, 0, 1));
+	return serializeState(graph, { title: "Us", zoom: 1, center: { x: 0, y: 0 } });
+}
+
+test("a saved graph loads back", function() {
+	assert.ok(saveState(savedPair()));
+	var graph = deserializeGraph(loadState());
+	assert.deepEqual(graph.nodes.map(node => node.name), ["Alice", "Bob"]);
+	assert.equal(graph.edges[0].start.getFullYear(), 2015);
+});
+
+test("parseDate rejects days and months that don't exist", function() {
+	assert.equal(parseDate("2020-02-29").getDate(), 29);
+	assert.equal(parseDate("2020-13-45"), null);
+	assert.equal(parseDate("2021-02-29"), null);
+	assert.equal(parseDate("2020-00-10"), null);
+});
+
+test("malformed old files fail with the validation message", function() {
+	var v1 = { version: 1, title: "Old", zoom: 1, nodes: [] };
+	assert.throws(() => parseStateText(JSON.stringify(v1)), { message: "Missing edge list." });
+	for (const forces of [undefined, null]) {
+		var v3 = { version: 3, title: "Old", zoom: 1, forces: forces, nodes: [], edges: [] };
+		assert.throws(() => parseStateText(JSON.stringify(v3)), { message: "Invalid force constants." });
+	}
+	var v2 = { version: 2, title: "Old", zoom: 1, nodes: [], edges: [] };
+	assert.throws(() => parseStateText(JSON.stringify(v2)), { message: "Invalid force constants." });
+});
+
+test("version 4 files get a view center", function() {
+	var data = savedPair();
+	data.version = 4;
+	delete data.center;
+	assert.deepEqual(parseStateText(JSON.stringify(data)).center, [0, 0]);
+
+	data.center = [12, -3];
+	assert.deepEqual(parseStateText(JSON.stringify(data)).center, [12, -3]);
+});
+
+test("version 5 files get a frozen flag", function() {
+	var data = savedPair();
+	data.version = 5;
+	delete data.forces.frozen;
+	assert.equal(parseStateText(JSON.stringify(data)).forces.frozen, false);
+
+	data.forces.frozen = true;
+	data.nodes[0].pinned = true;
+	var graph = deserializeGraph(parseStateText(JSON.stringify(data)));
+	assert.ok(graph.frozen);
+	assert.deepEqual(graph.nodes.map(node => node.pinned), [true, false]);
+});
+
+test("version 6 files get circles and a circle pull", function() {
+	var data = savedPair();
+	data.version = 6;
+	delete data.forces.communityK;
+	delete data.circles;
+	data = parseStateText(JSON.stringify(data));
+	assert.equal(data.forces.communityK, 0);
+	assert.deepEqual(data.circles, []);
+});
+
+test("files with repeated connections or ones that end before they start are rejected", function() {
+	var data = savedPair();
+	data.edges.push(Object.assign({}, data.edges[0], { a: 1, b: 0 }));
+	assert.throws(() => parseStateText(JSON.stringify(data)), /repeats an earlier connection/);
+
+	data = savedPair();
+	data.edges[0].end = "2014-12-31";
+	assert.throws(() => parseStateText(JSON.stringify(data)), /ends before it starts/);
+
+	data = savedPair();
+	Object.assign(data.edges[0], { a: 1, b: 0 });
+	var graph = deserializeGraph(parseStateText(JSON.stringify(data)));
+	assert.deepEqual([graph.edges[0].a, graph.edges[0].b], [0, 1]);
+});
+
+test("loadState sets an unreadable save aside instead of dropping it", function() {
+	var data = savedPair();
+	data.edges[0].start = "NaN-NaN-NaN";
+	var raw = JSON.stringify(data);
+	localStorage.setItem("friend-graph", raw);
+
+	assert.throws(() => loadState(), /friend-graph-unreadable/);
+	assert.equal(localStorage.getItem("friend-graph-unreadable"), raw);
+	assert.equal(localStorage.getItem("friend-graph"), null);
+	assert.equal(loadState(), null);
+});
+
+test("loadState keeps earlier unreadable saves", function() {
+	localStorage.setItem("friend-graph-unreadable", "first");
+	localStorage.setItem("friend-graph", "second");
+	assert.throws(() => loadState(), /friend-graph-unreadable-2/);
+	assert.equal(localStorage.getItem("friend-graph-unreadable"), "first");
+	assert.equal(localStorage.getItem("friend-graph-unreadable-2"), "second");
+});
+
+test("saveState reports a full storage", function() {
+	localStorage.setItem = function() {
+		throw new Error("QuotaExceededError");
+	};
+	assert.equal(saveState(savedPair()), false);
+});
+
+test("an unreadable save that can't be copied aside stays and is not saved over", function() {
+	localStorage.setItem("friend-graph", "not json");
+	var setItem = localStorage.setItem;
+	localStorage.setItem = function() {
+		throw new Error("QuotaExceededError");
+	};
+	assert.throws(() => loadState(), /no room/);
+	localStorage.setItem = setItem;
+	assert.equal(localStorage.getItem("friend-graph"), "not json");
+	assert.equal(localStorage.getItem("friend-graph-unreadable"), null);
+
+	assert.equal(saveState(savedPair()), false);
+	assert.equal(localStorage.getItem("friend-graph"), "not json");
+});
+
+test("shareableState rounds positions and leaves pictures out unless asked", function() {
+	var data = savedPair();
+	data.nodes[0].pos = [10.4, -3.6];
+	data.nodes[0].image = "data:image/png;base64,AAAA";
+	var shared = shareableState(data, false);
+	assert.deepEqual(shared.nodes[0].pos, [10, -4]);
+	assert.equal("image" in shared.nodes[0], false);
+	assert.equal(shareableState(data, true).nodes[0].image, data.nodes[0].image);
+	// The saved object itself is left alone.
+	assert.deepEqual(data.nodes[0].pos, [10.4, -3.6]);
+});
+
+/** Skip reason for the share link tests on Node versions without raw deflate streams. */
+var noDeflateRaw = false;
+try {
+	new CompressionStream("deflate-raw");
+} catch (err) {
+	noDeflateRaw = "this Node version can't compress with deflate-raw";
+}
+
+test("a share link decodes to the graph it was made from", { skip: noDeflateRaw }, async function() {
+	var data = shareableState(savedPair(), false);
+	data.title = "Ünïcode & friends";
+	var hash = await encodeShareHash(data);
+	assert.ok(hash.startsWith(SHARE_HASH_PREFIX));
+	assert.match(hash.slice(SHARE_HASH_PREFIX.length), /^[A-Za-z0-9_-]+$/);
+	assert.deepEqual(await decodeShareHash(hash), data);
+});
+
+test("a damaged share link is rejected", { skip: noDeflateRaw }, async function() {
+	var hash = await encodeShareHash(savedPair());
+	await assert.rejects(decodeShareHash(hash.slice(0, -6)), { message: "The link is incomplete or damaged." });
+	await assert.rejects(decodeShareHash(SHARE_HASH_PREFIX + "%%%"), { message: "The link is incomplete or damaged." });
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { vec2 } from "../vec2.js";
+
+test("vec2 builds vectors from numbers, arrays and other vectors", function() {
+	assert.deepEqual(vec2(2, 1), { x: 2, y: 1 });
+	assert.deepEqual(vec2([2, 1]), { x: 2, y: 1 });
+	assert.deepEqual(vec2(), { x: 0, y: 0 });
+
+	var v = vec2(3, 4);
+	var copy = vec2(v);
+	assert.deepEqual(copy, v);
+	assert.notEqual(copy, v);
+});
+
+test("vec2 arithmetic works with vectors and scalars", function() {
+	var a = vec2(3, -4);
+	var b = vec2(1, 2);
+	assert.deepEqual(vec2.add(a, b), { x: 4, y: -2 });
+	assert.deepEqual(vec2.add(a, 1), { x: 4, y: -3 });
+	assert.deepEqual(vec2.sub(a, b), { x: 2, y: -6 });
+	assert.deepEqual(vec2.sub(a, 1), { x: 2, y: -5 });
+	assert.deepEqual(vec2.mul(a, b), { x: 3, y: -8 });
+	assert.deepEqual(vec2.mul(a, 2), { x: 6, y: -8 });
+	assert.deepEqual(vec2.div(a, b), { x: 3, y: -2 });
+	assert.deepEqual(vec2.div(a, 2), { x: 1.5, y: -2 });
+	assert.equal(vec2.dot(a, b), -5);
+	assert.equal(vec2.cross(a, b), 10);
+	assert.equal(vec2.len(a), 5);
+	assert.deepEqual(vec2.norm(a), { x: 0.6, y: -0.8 });
+	assert.deepEqual(vec2.norm(vec2(0, 0)), { x: 0, y: 0 });
+	assert.ok(vec2.eq(a, vec2(3, -4)));
+	assert.ok(!vec2.eq(a, b));
+});
+
+test("vec2.pow scales the length and keeps the direction", function() {
+	var v = vec2.pow(vec2(-3, 4), 2);
+	assert.equal(vec2.len(v), 25);
+	assert.ok(v.x < 0 && v.y > 0);
+	assert.deepEqual(v, { x: -15, y: 20 });
+});
+
+test("vec2.rot rotates counterclockwise by radians", function() {
+	var v = vec2.rot(vec2(1, 0), Math.PI / 2);
+	assert.ok(Math.abs(v.x) < 1e-12);
+	assert.ok(Math.abs(v.y - 1) < 1e-12);
+});
+
+test("vec2.fromString parses comma-separated coordinates", function() {
+	assert.deepEqual(vec2.fromString("0,0"), { x: 0, y: 0 });
+	assert.deepEqual(vec2.fromString("1.5, -2"), { x: 1.5, y: -2 });
+	assert.deepEqual(vec2.fromString("7"), { x: 0, y: 0 });
+});
+
+test("vec2.toString writes coordinates that fromString reads back", function() {
+	var v = vec2(-1.25, 3);
+	assert.equal(vec2.toString(v), "-1.25,3");
+	assert.equal(vec2.toString(v, " "), "-1.25 3");
+	assert.deepEqual(vec2.fromString(vec2.toString(v)), v);
+});
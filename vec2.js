@@ -1,5 +1,3 @@
-"use strict";
-
 /**
  * Return a new vec2 object with the specified x/y coordinates. If the first argument is an array,
  * the vec2 will be initialised using the first 2 elements of the array. If the first argument is
@@ -15,7 +13,7 @@
  * var v2 = vec2([2, 1]); // v2 == { x: 2, y: 1 }
  * var v3 = vec2(v1); // v3 == { x: 2, y: 1 }
  */
-var vec2 = function(x, y) {
+export var vec2 = function(x, y) {
 	if (arguments.length == 1) {
 		if (x instanceof Array && x.length > 1) { // vec2 from array
 			return { x: x[0], y: x[1] };